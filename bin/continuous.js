@@ -35,7 +35,7 @@ function getArg(flag, envVar, defaultVal) {
 const { runHeartbeatCycle } = require('../src/orchestrator.js');
 
 const apiKey = process.env.SNEEBLY_ANTHROPIC_KEY || process.env.ANTHROPIC_API_KEY;
-if (!apiKey) {
+if (!apiKey && process.env.SNEEBLY_CASSETTE !== 'replay') {
   console.error('Error: SNEEBLY_ANTHROPIC_KEY or ANTHROPIC_API_KEY environment variable is required');
   process.exit(1);
 }
@@ -66,8 +66,14 @@ async function runLoop() {
         appUrl,
         forceDiscovery: i === 0,
         projectRoot: process.cwd(),
+        source: 'continuous',
       });
 
+      if (result.status === 'spend-capped') {
+        console.log(`Spend cap reached (${result.spendCap.period}: $${result.spendCap.spent.toFixed(2)} of $${result.spendCap.cap.toFixed(2)}) — stopping.`);
+        break;
+      }
+
       if (result.steps) {
         const completed = result.steps.filter(s => s.status === 'completed').length;
         totalChanges += completed;
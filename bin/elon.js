@@ -60,7 +60,7 @@ if (forcedMode && ['build', 'fix', 'auto'].includes(forcedMode)) {
 }
 
 const apiKey = process.env.SNEEBLY_ANTHROPIC_KEY || process.env.ANTHROPIC_API_KEY;
-if (!apiKey) {
+if (!apiKey && process.env.SNEEBLY_CASSETTE !== 'replay') {
   console.error('Error: SNEEBLY_ANTHROPIC_KEY or ANTHROPIC_API_KEY environment variable is required');
   process.exit(1);
 }
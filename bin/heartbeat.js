@@ -7,7 +7,7 @@ const { runHeartbeatCycle } = require('../src/orchestrator.js');
 const apiKey = process.env.SNEEBLY_ANTHROPIC_KEY || process.env.ANTHROPIC_API_KEY;
 const appUrl = process.env.APP_URL || 'http://localhost:5000';
 
-if (!apiKey) {
+if (!apiKey && process.env.SNEEBLY_CASSETTE !== 'replay') {
   console.error('Error: SNEEBLY_ANTHROPIC_KEY or ANTHROPIC_API_KEY environment variable is required');
   process.exit(1);
 }
@@ -95,8 +95,11 @@ function init() {
     }
   }
 
+  const { DEFAULT_POLICY, POLICY_FILE } = require('../src/policy');
+  _writeJsonIfNotExists(path.join(TARGET_DIR, '.sneebly', POLICY_FILE), DEFAULT_POLICY, POLICY_FILE);
+
   const checksums = {};
-  for (const f of IDENTITY_FILES) {
+  for (const f of [...IDENTITY_FILES, `.sneebly/${POLICY_FILE}`]) {
     const fp = path.join(TARGET_DIR, f);
     if (fs.existsSync(fp)) {
       checksums[f] = crypto.createHash('sha256')
@@ -164,7 +167,7 @@ async function heartbeat() {
   console.log('sneebly heartbeat — running cycle...\n');
 
   const apiKey = process.env.SNEEBLY_ANTHROPIC_KEY || process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  if (!apiKey && process.env.SNEEBLY_CASSETTE !== 'replay') {
     console.error('Error: SNEEBLY_ANTHROPIC_KEY or ANTHROPIC_API_KEY environment variable is required');
     process.exit(1);
   }
@@ -229,6 +232,325 @@ function status() {
   }
 }
 
+function spend() {
+  const { SpendLedger } = require('../src/spend-ledger');
+  const { loadContext, parseHeartbeatConfig } = require('../src/context-loader');
+
+  const caps = parseHeartbeatConfig(loadContext(TARGET_DIR)).spendCaps || {};
+  const summary = new SpendLedger(path.join(TARGET_DIR, '.sneebly')).summary(caps, { limit: 10 });
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+
+  console.log('sneebly spend\n');
+  for (const period of ['daily', 'weekly', 'monthly']) {
+    const cap = caps[period] !== undefined ? ` / $${caps[period].toFixed(2)} cap` : '';
+    const flag = summary.capped.includes(period) ? '  [capped]' : '';
+    console.log(`  ${period.padEnd(8)} $${summary.totals[period].toFixed(4)}${cap}${flag}`);
+  }
+
+  const sections = [['By source', summary.month.bySource], ['By subagent', summary.month.bySubagent], ['By model', summary.month.byModel]];
+  console.log(`\nThis month: ${summary.month.calls} call(s)`);
+  for (const [label, totals] of sections) {
+    const entries = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) continue;
+    console.log(`\n${label}:`);
+    for (const [key, cost] of entries) console.log(`  ${key.padEnd(20)} $${cost.toFixed(4)}`);
+  }
+
+  if (summary.recent.length > 0) {
+    console.log('\nRecent charges:');
+    for (const e of summary.recent) {
+      const spec = e.specId ? ` spec=${e.specId}` : '';
+      console.log(`  ${e.timestamp}  ${e.source}/${e.subagent || '-'} (${e.model || '-'})${spec}  $${e.cost.toFixed(4)}`);
+    }
+  }
+}
+
+function revert() {
+  const specId = process.argv[3];
+  if (!specId) {
+    console.error('Usage: npx sneebly revert <spec-id>');
+    process.exit(1);
+  }
+
+  const { revertCheckpoint } = require('../src/checkpoints');
+  const dataDir = path.join(TARGET_DIR, '.sneebly');
+  const result = revertCheckpoint({ projectRoot: TARGET_DIR, dataDir, specId });
+
+  if (!result.reverted) {
+    console.error(`Could not revert ${specId}: ${result.reason}`);
+    process.exit(1);
+  }
+
+  try {
+    const { MemoryStore } = require('../src/memory');
+    new MemoryStore(dataDir).logDaily(`Reverted spec ${specId}: ${result.commit.slice(0, 10)} undone by ${result.revertCommit.slice(0, 10)}`);
+  } catch {}
+  console.log(`Reverted spec ${specId} (${result.commit.slice(0, 10)}) in commit ${result.revertCommit.slice(0, 10)}`);
+}
+
+function _argValue(flag) {
+  const idx = process.argv.indexOf(flag);
+  return idx !== -1 ? process.argv[idx + 1] : undefined;
+}
+
+function backups() {
+  const { CodeEngine } = require('../src/code-engine');
+  const dataDir = path.join(TARGET_DIR, '.sneebly');
+  const engine = new CodeEngine({ projectRoot: TARGET_DIR, dataDir, backupsDir: path.join(dataDir, 'backups') });
+  const action = process.argv[3];
+  const target = process.argv[4] && !process.argv[4].startsWith('--') ? process.argv[4] : undefined;
+
+  if (action === 'list') {
+    const limit = parseInt(_argValue('--limit'), 10) || 50;
+    const entries = engine.backups.list({ filePath: target, specId: _argValue('--spec'), limit });
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+    if (entries.length === 0) {
+      console.log(target ? `No backups for ${target}` : 'No backups');
+      return;
+    }
+    for (const e of entries) {
+      const spec = e.specId ? `  spec=${e.specId}` : '';
+      console.log(`${e.id}  ${e.timestamp}  ${e.hash.slice(0, 12)}  ${String(e.size).padStart(8)}B  ${e.filePath}${spec}`);
+    }
+    return;
+  }
+
+  if (action === 'show' && target) {
+    const entry = engine.backups.find(target);
+    if (!entry || entry.ambiguous) {
+      console.error(entry ? `${target} is ambiguous: ${entry.matches.join(', ')}` : `No backup matches ${target}`);
+      process.exit(1);
+    }
+    console.error(`# ${entry.filePath} @ ${entry.timestamp} (${entry.id}, sha256 ${entry.hash.slice(0, 12)}${entry.specId ? `, spec ${entry.specId}` : ''})`);
+    process.stdout.write(engine.backups.read(entry));
+    return;
+  }
+
+  if (action === 'restore' && target) {
+    const result = engine.restoreBackup(target, { to: _argValue('--to') });
+    if (!result.restored) {
+      console.error(`Could not restore ${target}: ${result.reason}`);
+      process.exit(1);
+    }
+    try {
+      const { MemoryStore } = require('../src/memory');
+      new MemoryStore(dataDir).logDaily(`Restored ${result.filePath} from backup ${result.id}${result.previous ? ` (previous version saved as ${result.previous})` : ''}`);
+    } catch {}
+    console.log(`Restored ${result.filePath} from backup ${result.id}`);
+    if (result.previous) console.log(`Previous contents saved as backup ${result.previous}`);
+    return;
+  }
+
+  console.error('Usage: npx sneebly backups list [file] [--spec <id>] [--limit N] [--json]');
+  console.error('       npx sneebly backups show <id>');
+  console.error('       npx sneebly backups restore <id> [--to <path>]');
+  process.exit(1);
+}
+
+function _ruleLocation(rule) {
+  return rule.line ? `${rule.source}:${rule.line}` : rule.source;
+}
+
+function checkPath() {
+  const files = process.argv.slice(3).filter(a => !a.startsWith('--'));
+  if (files.length === 0) {
+    console.error('Usage: npx sneebly check-path <file> [file...] [--json]');
+    process.exit(1);
+  }
+
+  const { loadContext } = require('../src/context-loader');
+  const { explainPath, pathRules } = require('../src/safety');
+  const { usePolicy } = require('../src/policy');
+  const { CodeEngine } = require('../src/code-engine');
+  const dataDir = path.join(TARGET_DIR, '.sneebly');
+  const { policy } = usePolicy(dataDir);
+  const agents = policy.writes.useAgentsMd === false ? null : loadContext(TARGET_DIR).agents;
+  const rules = pathRules(agents, policy);
+  const engine = new CodeEngine({ projectRoot: TARGET_DIR, dataDir, policy });
+  const results = files.map((file) => {
+    const rel = path.isAbsolute(file) ? path.relative(TARGET_DIR, file) : file;
+    return agents || rules.length > 0 ? explainPath(rel, agents, policy) : { path: path.normalize(rel), ...engine._checkSafety(rel), rule: null, checks: [] };
+  });
+  if (results.some(r => !r.safe)) process.exitCode = 1;
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  if (!agents && rules.length === 0) console.log('No path rules in AGENTS.md or policy.json — the code engine allows every path except identity files and traversal.\n');
+  else if (!rules.some(r => r.section === 'safe')) {
+    console.log('No safe paths in AGENTS.md ("## Safe to Auto-Modify") or policy.json (writes.safePaths) — every path is blocked.\n');
+  }
+
+  for (const result of results) {
+    console.log(`${result.path}: ${result.safe ? 'ALLOWED' : 'BLOCKED'}`);
+    console.log(`  ${result.reason}`);
+    if (result.rule) console.log(`  Rule: ${_ruleLocation(result.rule)} [${result.rule.section}] ${result.rule.pattern}`);
+
+    const shown = process.argv.includes('--all') ? result.checks : result.checks.filter(c => c.matched);
+    if (shown.length > 0) {
+      console.log(process.argv.includes('--all') ? '  Rules:' : '  Matching rules:');
+      for (const check of shown) {
+        console.log(`    ${check.matched ? '✓' : '·'} ${_ruleLocation(check).padEnd(14)} ${check.section.padEnd(9)} ${check.pattern}`);
+      }
+    }
+    console.log('');
+  }
+}
+
+function _argValues(flag) {
+  const values = [];
+  process.argv.forEach((arg, i) => {
+    if (arg === flag && process.argv[i + 1] !== undefined) values.push(process.argv[i + 1]);
+  });
+  return values;
+}
+
+function _readPolicy(file) {
+  const { loadPolicy, validatePolicy, mergePolicy } = require('../src/policy');
+  if (!file) return loadPolicy(path.join(TARGET_DIR, '.sneebly'));
+
+  const fullPath = path.resolve(TARGET_DIR, file);
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  } catch (err) {
+    return { policy: null, source: 'file', path: fullPath, errors: [err.message] };
+  }
+  const { errors } = validatePolicy(doc);
+  return { policy: errors.length === 0 ? mergePolicy(doc) : null, source: 'file', path: fullPath, errors };
+}
+
+function _testPolicySample(kind, value, policy, engine) {
+  const { OutputValidator } = require('../src/security');
+
+  if (kind === 'path') {
+    const write = OutputValidator.validateAction({ type: 'file_edit', filePath: value }, policy);
+    const safety = engine._checkSafety(value);
+    return { allowed: write.valid && safety.safe, reasons: [...write.reasons, safety.reason] };
+  }
+  if (kind === 'command') {
+    const { prepareCommand } = require('../src/command-runner');
+    const prepared = prepareCommand(value, { projectRoot: TARGET_DIR, policy });
+    if (!prepared.allowed) return { allowed: false, reasons: [prepared.reason] };
+    const via = prepared.entry ? `commands.entries [${prepared.entry.argv.join(' ')}]` : 'commands.allowed';
+    const cwd = path.relative(TARGET_DIR, prepared.cwd) || '.';
+    return { allowed: true, reasons: [`Allowed by ${via}: runs in ${cwd}, timeout ${prepared.timeoutMs}ms, ${Object.keys(prepared.env).length} env var(s) passed`] };
+  }
+  const check = OutputValidator.validateAction({ type: 'file_edit', newCode: value }, policy);
+  return { allowed: check.valid, reasons: check.reasons };
+}
+
+function policyCommand() {
+  const { policyPath, usePolicy } = require('../src/policy');
+  const dataDir = path.join(TARGET_DIR, '.sneebly');
+  const action = process.argv[3];
+  const target = process.argv[4] && !process.argv[4].startsWith('--') ? process.argv[4] : undefined;
+
+  if (action === 'show') {
+    const loaded = _readPolicy(_argValue('--policy'));
+    for (const err of loaded.errors) console.error(`invalid: ${err}`);
+    if (!loaded.policy) process.exit(1);
+    if (loaded.errors.length > 0) console.error('Using the default policy.\n');
+    console.log(JSON.stringify(loaded.policy, null, 2));
+    return;
+  }
+
+  if (action === 'validate') {
+    const file = target || policyPath(dataDir);
+    if (!target && !fs.existsSync(file)) {
+      console.log(`No ${path.relative(TARGET_DIR, file)} — the default policy applies. Run \`npx sneebly init\` to write it out.`);
+      return;
+    }
+    const loaded = _readPolicy(file);
+    if (loaded.errors.length > 0) {
+      console.error(`${path.relative(TARGET_DIR, loaded.path)}: ${loaded.errors.length} error(s)`);
+      for (const err of loaded.errors) console.error(`  ${err}`);
+      process.exit(1);
+    }
+    console.log(`${path.relative(TARGET_DIR, loaded.path)}: valid (version ${loaded.policy.version})`);
+    return;
+  }
+
+  if (action === 'test') {
+    const loaded = _argValue('--policy') ? _readPolicy(_argValue('--policy')) : usePolicy(dataDir);
+    if (!loaded.policy) {
+      for (const err of loaded.errors) console.error(`invalid: ${err}`);
+      process.exit(1);
+    }
+    const policy = loaded.policy;
+
+    const samples = [
+      ..._argValues('--path').map(value => ({ kind: 'path', value })),
+      ..._argValues('--command').map(value => ({ kind: 'command', value })),
+      ..._argValues('--code').map(value => ({ kind: 'code', value })),
+    ];
+    if (target) {
+      let doc;
+      try {
+        doc = JSON.parse(fs.readFileSync(path.resolve(TARGET_DIR, target), 'utf-8'));
+      } catch (err) {
+        console.error(`Cannot read samples from ${target}: ${err.message}`);
+        process.exit(1);
+      }
+      for (const [key, kind] of [['paths', 'path'], ['commands', 'command'], ['code', 'code']]) {
+        for (const sample of doc[key] || []) {
+          samples.push(typeof sample === 'string' ? { kind, value: sample } : { kind, value: sample[kind], expect: sample.expect });
+        }
+      }
+    }
+    if (samples.length === 0) {
+      console.error('Nothing to test — pass --path, --command, --code or a samples file.');
+      process.exit(1);
+    }
+
+    const { loadContext } = require('../src/context-loader');
+    const { CodeEngine } = require('../src/code-engine');
+    const agentsContext = loadContext(TARGET_DIR).agents;
+    const engine = new CodeEngine({ projectRoot: TARGET_DIR, dataDir, agentsContext, policy });
+
+    const results = samples.map((sample) => {
+      const value = String(sample.value || '');
+      const result = { kind: sample.kind, value, ..._testPolicySample(sample.kind, value, policy, engine) };
+      if (sample.expect) {
+        result.expect = sample.expect;
+        result.ok = (sample.expect === 'allow') === result.allowed;
+      }
+      return result;
+    });
+    if (results.some(r => r.ok === false)) process.exitCode = 1;
+
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+
+    console.log(`Policy: ${loaded.source === 'file' ? path.relative(TARGET_DIR, loaded.path) : 'built-in defaults'}\n`);
+    for (const result of results) {
+      const mismatch = result.ok === false ? `  [expected ${result.expect}]` : '';
+      const value = result.kind === 'code' && result.value.length > 60 ? `${result.value.slice(0, 57)}...` : result.value;
+      console.log(`${result.allowed ? 'ALLOW' : 'BLOCK'}  ${result.kind.padEnd(7)} ${value}${mismatch}`);
+      for (const reason of result.reasons) console.log(`         ${reason}`);
+    }
+    const failed = results.filter(r => r.ok === false).length;
+    if (results.some(r => r.expect)) console.log(`\n${results.filter(r => r.ok).length} passed, ${failed} failed`);
+    return;
+  }
+
+  console.error('Usage: npx sneebly policy show [--policy <file>]');
+  console.error('       npx sneebly policy validate [file]');
+  console.error('       npx sneebly policy test [samples.json] [--path <p>] [--command <c>] [--code <src>] [--policy <file>] [--json]');
+  process.exit(1);
+}
+
 const command = process.argv[2];
 
 switch (command) {
@@ -244,12 +566,32 @@ switch (command) {
   case 'status':
     status();
     break;
+  case 'spend':
+    spend();
+    break;
+  case 'revert':
+    revert();
+    break;
+  case 'backups':
+    backups();
+    break;
+  case 'policy':
+    policyCommand();
+    break;
+  case 'check-path':
+    checkPath();
+    break;
   default:
     console.log('Usage: npx sneebly <command>\n');
     console.log('Commands:');
     console.log('  init        Set up Sneebly in your project');
     console.log('  heartbeat   Run a single heartbeat cycle');
     console.log('  status      Show current Sneebly status');
+    console.log('  spend       Show API spend against daily/weekly/monthly caps');
+    console.log('  revert <id> Undo a completed spec\'s git checkpoint commit');
+    console.log('  backups     List, show or restore file backups (list|show <id>|restore <id>)');
+    console.log('  check-path <file>  Show which AGENTS.md or policy.json rule allows or blocks a path');
+    console.log('  policy      Show, validate or test the write and command policy (show|validate|test)');
     console.log('\nStandalone commands:');
     console.log('  npx sneebly-heartbeat    Run a monitoring + fix cycle');
     console.log('  npx sneebly-elon         Find and fix limiting factors');
@@ -257,5 +599,6 @@ switch (command) {
     console.log('  npx sneebly-continuous   Continuous improvement loop');
     console.log('\nOptions:');
     console.log('  --dry-run   Run heartbeat without making changes');
+    console.log('  --json      Print spend summary or backup list as JSON');
     break;
 }
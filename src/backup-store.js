@@ -0,0 +1,169 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { acquireSync, releaseSync } = require('./file-lock');
+
+const INDEX_FILE = 'index.jsonl';
+const BLOBS_DIR = 'blobs';
+const LEGACY_BACKUP = /\.\d{13}$/;
+const BLOB_NAME = /^[0-9a-f]{64}$/;
+const DEFAULT_RETENTION = { maxAgeDays: 30, maxBytes: 200 * 1024 * 1024 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BackupStore {
+  constructor(backupsDir) {
+    this.dir = backupsDir;
+    this.indexPath = path.join(backupsDir, INDEX_FILE);
+    this.blobsDir = path.join(backupsDir, BLOBS_DIR);
+  }
+
+  blobPath(hash) {
+    return path.join(this.blobsDir, hash.slice(0, 2), hash);
+  }
+
+  put(fullPath, filePath, meta = {}) {
+    const content = fs.readFileSync(fullPath);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const blobPath = this.blobPath(hash);
+    fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+
+    // Appending without the lock could land in an index a concurrent prune is rewriting, losing the entry
+    const release = acquireSync(this.indexPath);
+    if (!release) throw new Error(`backup of ${filePath} failed: backup store is locked by another process`);
+    try {
+      if (!fs.existsSync(blobPath)) {
+        const tmp = `${blobPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, content);
+        fs.renameSync(tmp, blobPath);
+      }
+
+      const entry = {
+        id: crypto.randomBytes(4).toString('hex'),
+        hash,
+        filePath: filePath.replace(/\\/g, '/'),
+        size: content.length,
+        timestamp: new Date().toISOString(),
+        specId: meta.specId || null,
+      };
+      fs.appendFileSync(this.indexPath, JSON.stringify(entry) + '\n');
+      return { ...entry, blobPath };
+    } finally {
+      releaseSync(release);
+    }
+  }
+
+  entries() {
+    let raw = '';
+    try { raw = fs.readFileSync(this.indexPath, 'utf-8'); } catch { return []; }
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch {}
+    }
+    return entries;
+  }
+
+  list(filter = {}) {
+    const file = filter.filePath ? filter.filePath.replace(/\\/g, '/').replace(/^\.\//, '') : null;
+    const matches = this.entries()
+      .filter(e => !file || e.filePath === file)
+      .filter(e => !filter.specId || e.specId === filter.specId)
+      .reverse();
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+  }
+
+  find(id) {
+    const key = String(id || '').trim();
+    if (key.length < 4) return null;
+    const matches = this.entries().filter(e => e.id === key || e.id.startsWith(key) || e.hash.startsWith(key));
+    if (matches.length === 0) return null;
+    const exact = matches.find(e => e.id === key);
+    const entry = exact || matches[matches.length - 1];
+    if (!exact && new Set(matches.map(e => `${e.filePath}:${e.hash}`)).size > 1) {
+      return { ambiguous: true, matches: matches.map(e => e.id) };
+    }
+    return { ...entry, blobPath: this.blobPath(entry.hash) };
+  }
+
+  read(entry) {
+    return fs.readFileSync(this.blobPath(entry.hash));
+  }
+
+  _writeIndex(entries) {
+    const tmp = `${this.indexPath}.tmp`;
+    fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmp, this.indexPath);
+  }
+
+  prune(policy = {}) {
+    const release = acquireSync(this.indexPath);
+    if (!release) return { removedEntries: 0, removedBlobs: 0, entries: this.entries().length, skipped: 'backup store is locked by another process' };
+    try {
+      return this._prune(policy);
+    } finally {
+      releaseSync(release);
+    }
+  }
+
+  _prune(policy) {
+    const maxAgeDays = policy.maxAgeDays !== undefined ? policy.maxAgeDays : DEFAULT_RETENTION.maxAgeDays;
+    const maxBytes = policy.maxBytes !== undefined ? policy.maxBytes : DEFAULT_RETENTION.maxBytes;
+    const protect = new Set([...(policy.protect || [])].map(p => path.resolve(p)));
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+
+    const entries = this.entries().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const latest = new Map(entries.map(e => [e.filePath, e]));
+    const pinned = e => latest.get(e.filePath) === e || protect.has(path.resolve(this.blobPath(e.hash)));
+
+    let kept = entries.filter(e => pinned(e) || !maxAgeDays || Date.parse(e.timestamp) >= cutoff);
+
+    if (maxBytes) {
+      const refs = new Map();
+      for (const e of kept) refs.set(e.hash, { size: e.size, count: (refs.get(e.hash) || { count: 0 }).count + 1 });
+      let bytes = [...refs.values()].reduce((sum, r) => sum + r.size, 0);
+
+      const dropped = new Set();
+      for (const e of kept) {
+        if (bytes <= maxBytes) break;
+        if (pinned(e)) continue;
+        dropped.add(e);
+        const ref = refs.get(e.hash);
+        if (--ref.count === 0) bytes -= ref.size;
+      }
+      kept = kept.filter(e => !dropped.has(e));
+    }
+
+    const removedEntries = entries.length - kept.length;
+    if (removedEntries > 0) this._writeIndex(kept);
+
+    const referenced = new Set(kept.map(e => e.hash));
+    let removedBlobs = 0;
+    let shards = [];
+    try { shards = fs.readdirSync(this.blobsDir); } catch {}
+    for (const shard of shards) {
+      let blobs = [];
+      try { blobs = fs.readdirSync(path.join(this.blobsDir, shard)); } catch {}
+      for (const blob of blobs) {
+        const blobPath = path.join(this.blobsDir, shard, blob);
+        if (!BLOB_NAME.test(blob) || referenced.has(blob) || protect.has(path.resolve(blobPath))) continue;
+        try { fs.unlinkSync(blobPath); removedBlobs++; } catch {}
+      }
+    }
+
+    let legacy = [];
+    try { legacy = fs.readdirSync(this.dir).filter(f => LEGACY_BACKUP.test(f)); } catch {}
+    for (const file of legacy) {
+      const legacyPath = path.join(this.dir, file);
+      if (protect.has(path.resolve(legacyPath))) continue;
+      try {
+        if (fs.statSync(legacyPath).mtimeMs < cutoff) { fs.unlinkSync(legacyPath); removedBlobs++; }
+      } catch {}
+    }
+
+    return { removedEntries, removedBlobs, entries: kept.length };
+  }
+}
+
+module.exports = { BackupStore, DEFAULT_RETENTION, INDEX_FILE };
@@ -0,0 +1,117 @@
+'use strict';
+
+const { parsePatch } = require('./unified-diff');
+
+const LIMIT_KEYS = ['lines', 'files', 'created', 'deleted'];
+const LIMIT_LABELS = {
+  lines: 'lines changed',
+  files: 'files touched',
+  created: 'files created',
+  deleted: 'files deleted',
+};
+
+function _lineCount(text) {
+  if (!text) return 0;
+  const lines = String(text).split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines.length;
+}
+
+function _changedLines(oldCode, newCode) {
+  const a = String(oldCode || '').split('\n');
+  const b = String(newCode || '').split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+  return (a.length - start - end) + (b.length - start - end);
+}
+
+function _union(list, items) {
+  for (const item of items) {
+    if (!list.includes(item)) list.push(item);
+  }
+}
+
+function measureChange(execResult) {
+  const measure = { lines: 0, files: [], created: [], deleted: [] };
+  if (!execResult) return measure;
+
+  const changes = execResult.status === 'multi-change' ? execResult.changes || []
+    : execResult.status === 'change' ? [execResult] : [];
+  for (const change of changes) {
+    measure.lines += _changedLines(change.oldCode, change.newCode);
+    _union(measure.files, [change.filePath]);
+  }
+
+  const creates = execResult.status === 'multi-create' ? execResult.files || []
+    : execResult.status === 'create' ? [execResult] : [];
+  for (const file of creates) {
+    measure.lines += _lineCount(file.content);
+    _union(measure.files, [file.filePath]);
+    _union(measure.created, [file.filePath]);
+  }
+
+  if (execResult.status === 'patch') {
+    let files = [];
+    try { files = parsePatch(execResult.patch); } catch {}
+    for (const file of files) {
+      const filePath = file.newPath || file.oldPath;
+      if (!filePath) continue;
+      measure.lines += file.hunks.reduce((n, h) => n + h.lines.filter(l => l[0] === '+' || l[0] === '-').length, 0);
+      _union(measure.files, [filePath]);
+      if (!file.oldPath) _union(measure.created, [filePath]);
+      if (!file.newPath) _union(measure.deleted, [filePath]);
+    }
+  }
+
+  return measure;
+}
+
+function createTracker(scope, limits) {
+  return { scope, limits: limits || {}, lines: 0, files: [], created: [], deleted: [] };
+}
+
+function _totals(tracker, measure) {
+  const merged = { files: tracker.files.slice(), created: tracker.created.slice(), deleted: tracker.deleted.slice() };
+  _union(merged.files, measure.files);
+  _union(merged.created, measure.created);
+  _union(merged.deleted, measure.deleted);
+  return { lines: tracker.lines + measure.lines, files: merged.files.length, created: merged.created.length, deleted: merged.deleted.length };
+}
+
+function exceededLimits(tracker, measure) {
+  if (!tracker) return [];
+  const totals = _totals(tracker, measure);
+  return LIMIT_KEYS
+    .filter(key => tracker.limits[key] !== undefined && totals[key] > tracker.limits[key])
+    .map(key => ({ scope: tracker.scope, limit: key, max: tracker.limits[key], total: totals[key] }));
+}
+
+function recordUsage(tracker, measure) {
+  if (!tracker) return;
+  tracker.lines += measure.lines;
+  _union(tracker.files, measure.files);
+  _union(tracker.created, measure.created);
+  _union(tracker.deleted, measure.deleted);
+}
+
+function snapshotUsage(tracker) {
+  if (!tracker) return null;
+  return { lines: tracker.lines, files: tracker.files.slice(), created: tracker.created.slice(), deleted: tracker.deleted.slice() };
+}
+
+function describeExceeded(exceeded) {
+  return exceeded.map(e => `${e.scope} limit of ${e.max} ${LIMIT_LABELS[e.limit]} (would reach ${e.total})`).join('; ');
+}
+
+module.exports = {
+  measureChange,
+  createTracker,
+  exceededLimits,
+  recordUsage,
+  snapshotUsage,
+  describeExceeded,
+  LIMIT_KEYS,
+  _changedLines,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('./command-runner');
+const { getPolicy } = require('./policy');
+
+const SPEC_TRAILER = 'Sneebly-Spec';
+
+// Plumbing commands (read-tree, commit-tree, update-ref) are not on the allow-list the agent tools
+// share; `internal` runs just this exact argv as a one-off entry.
+function _git(projectRoot, args, options = {}) {
+  const argv = ['git', ...args];
+  let policy;
+  if (options.internal) {
+    const base = getPolicy();
+    policy = { ...base, commands: { ...base.commands, entries: [...base.commands.entries, { argv }] } };
+  }
+  const result = runCommand(argv, { projectRoot, policy, env: options.env, source: 'checkpoint', timeoutMs: 30000 });
+  if (result.blocked) throw new Error(`git command blocked: ${result.reason}`);
+  if (!result.ok) {
+    const err = new Error(result.error || `git ${args[0]} exited with code ${result.exitCode}`);
+    err.stdout = result.stdout;
+    err.stderr = result.stderr;
+    throw err;
+  }
+  return result.stdout.trim();
+}
+
+function _gitError(err) {
+  const lines = `${err.stdout || ''}\n${err.stderr || ''}`.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('hint:'));
+  return lines.slice(-2).join(' ') || err.message;
+}
+
+function isGitRepo(projectRoot) {
+  try {
+    return _git(projectRoot, ['rev-parse', '--is-inside-work-tree']) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+function _branchName(constraintId) {
+  return `sneebly/${String(constraintId).replace(/[^\w.-]+/g, '-')}`;
+}
+
+function _resolve(projectRoot, ref) {
+  try {
+    return _git(projectRoot, ['rev-parse', '--verify', '--quiet', ref]) || null;
+  } catch {
+    return null;
+  }
+}
+
+function _commitToBranch(projectRoot, dataDir, branch, files, messageFile) {
+  const tip = _resolve(projectRoot, `refs/heads/${branch}`);
+  const parent = tip || _resolve(projectRoot, 'HEAD');
+  const env = { GIT_INDEX_FILE: path.join(dataDir, 'checkpoint-index') };
+  try {
+    _git(projectRoot, parent ? ['read-tree', parent] : ['read-tree', '--empty'], { env, internal: true });
+    _git(projectRoot, ['add', '-A', '--', ...files], { env });
+    const tree = _git(projectRoot, ['write-tree'], { env, internal: true });
+    const commit = _git(projectRoot, ['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-F', messageFile], { internal: true });
+    _git(projectRoot, ['update-ref', `refs/heads/${branch}`, commit, tip || ''], { internal: true });
+    return commit;
+  } finally {
+    try { fs.unlinkSync(env.GIT_INDEX_FILE); } catch {}
+  }
+}
+
+function _buildMessage(spec, specId, execution, files) {
+  const summary = String(spec.description || spec.filePath || specId).split('\n')[0].replace(/^\[ELON\]\s*/, '');
+  const lines = [
+    `sneebly: ${summary.length > 72 ? summary.slice(0, 69) + '...' : summary}`,
+    '',
+  ];
+  if (spec.description && spec.description !== summary) lines.push(String(spec.description).trim(), '');
+
+  lines.push(`${SPEC_TRAILER}: ${specId}`);
+  lines.push(`Sneebly-Source: ${spec.source || 'unknown'}`);
+  if (spec.elonConstraintId) lines.push(`Sneebly-Constraint: ${spec.elonConstraintId}`);
+  lines.push(`Sneebly-Cost: $${(execution.cost || 0).toFixed(4)}`);
+  lines.push(`Sneebly-Iterations: ${execution.iterations || 0}`);
+  if (execution.modelPath && execution.modelPath.length > 0) {
+    lines.push(`Sneebly-Models: ${execution.modelPath.map(m => m.model).join(' -> ')}`);
+  }
+  lines.push(`Sneebly-Files: ${files.join(', ')}`);
+  return lines.join('\n') + '\n';
+}
+
+function createCheckpoint({ projectRoot, dataDir, spec, specId, changes, execution, mode = 'commit' }) {
+  if (mode === 'off') return { committed: false, reason: 'disabled' };
+  if (!isGitRepo(projectRoot)) return { committed: false, reason: 'not a git repository' };
+
+  const files = [...new Set((changes || []).filter(c => c.applied && !c.rolledBack && c.filePath).map(c => c.filePath))];
+  if (files.length === 0) return { committed: false, reason: 'no file changes' };
+
+  let branch = null;
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const messageFile = path.join(dataDir, 'checkpoint-message.txt');
+    fs.writeFileSync(messageFile, _buildMessage(spec, specId, execution, files));
+
+    let commit;
+    if (mode === 'branch' && spec.elonConstraintId) {
+      // Commit straight to the branch through a temporary index; HEAD, the index and the working tree stay put
+      branch = _branchName(spec.elonConstraintId);
+      commit = _commitToBranch(projectRoot, dataDir, branch, files, messageFile);
+    } else {
+      _git(projectRoot, ['add', '-A', '--', ...files]);
+      _git(projectRoot, ['commit', '-q', '-F', messageFile, '--', ...files], { internal: true });
+      commit = _git(projectRoot, ['rev-parse', 'HEAD']);
+      branch = _git(projectRoot, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    }
+    try { fs.unlinkSync(messageFile); } catch {}
+
+    return { committed: true, commit, branch, files };
+  } catch (err) {
+    return { committed: false, reason: _gitError(err), branch };
+  }
+}
+
+function _findSpecRecord(dataDir, specId) {
+  for (const dir of ['completed', 'failed']) {
+    const dirPath = path.join(dataDir, dir);
+    let files = [];
+    try { files = fs.readdirSync(dirPath).filter(f => f.endsWith('.json')); } catch {}
+    for (const file of files) {
+      try {
+        const spec = JSON.parse(fs.readFileSync(path.join(dirPath, file), 'utf-8'));
+        if (spec.id === specId || path.basename(file, '.json') === specId) {
+          return { spec, path: path.join(dirPath, file) };
+        }
+      } catch {}
+    }
+  }
+  return null;
+}
+
+function findCheckpoint(projectRoot, dataDir, specId) {
+  const record = _findSpecRecord(dataDir, specId);
+  const fromRecord = record && record.spec.execution && record.spec.execution.checkpoint;
+  if (fromRecord && fromRecord.commit) return { commit: fromRecord.commit, record };
+
+  const trailer = `${SPEC_TRAILER}: ${specId}`;
+  try {
+    const candidates = _git(projectRoot, ['log', '--all', '--format=%H', '-n', '20', '--fixed-strings', `--grep=${trailer}`]).split('\n').filter(Boolean);
+    for (const commit of candidates) {
+      const message = _git(projectRoot, ['log', '-1', '--format=%B', commit]);
+      if (message.split('\n').some(line => line.trim() === trailer)) return { commit, record };
+    }
+  } catch {}
+  return { commit: null, record };
+}
+
+function revertCheckpoint({ projectRoot, dataDir, specId }) {
+  if (!isGitRepo(projectRoot)) return { reverted: false, reason: 'not a git repository' };
+
+  const { commit, record } = findCheckpoint(projectRoot, dataDir, specId);
+  if (!commit) return { reverted: false, reason: `no checkpoint commit found for spec ${specId}` };
+
+  try {
+    _git(projectRoot, ['revert', '--no-edit', commit]);
+  } catch (err) {
+    const reason = _gitError(err);
+    try { _git(projectRoot, ['revert', '--abort']); } catch {}
+    return { reverted: false, commit, reason };
+  }
+
+  const revertCommit = _git(projectRoot, ['rev-parse', 'HEAD']);
+  if (record) {
+    try {
+      record.spec.execution = { ...(record.spec.execution || {}), revertedBy: revertCommit, revertedAt: new Date().toISOString() };
+      fs.writeFileSync(record.path, JSON.stringify(record.spec, null, 2));
+    } catch {}
+  }
+  return { reverted: true, commit, revertCommit };
+}
+
+module.exports = {
+  isGitRepo,
+  createCheckpoint,
+  findCheckpoint,
+  revertCheckpoint,
+  _git,
+  _buildMessage,
+  _branchName,
+  SPEC_TRAILER,
+};
@@ -3,32 +3,170 @@
 const fs = require('fs');
 const path = require('path');
 const { mkdir, writeFile, unlink } = fs.promises;
-const { execSync, spawn } = require('child_process');
 const http = require('http');
 const { IDENTITY_FILES, CommandValidator } = require('./security');
-const { isPathSafe } = require('./safety');
+const { isPathSafe, pathRules } = require('./safety');
+const { getPolicy, policyPath } = require('./policy');
+const { runCommand, spawnCommand } = require('./command-runner');
+const { parsePatch, applyHunks } = require('./unified-diff');
+const { Transaction, listTransactions } = require('./transactions');
+const { BackupStore } = require('./backup-store');
+const { runProbes } = require('./probes');
+const { selectTests, recordTestRun } = require('./test-impact');
+const { detectStyleTools, formatAndLint } = require('./code-style');
+const { loadCrashRules, detectCrashes } = require('./crash-patterns');
+const { scanForSecrets, redactSecrets, describeFindings, recordSecretBlock } = require('./secret-scanner');
+
+const JS_EXTENSIONS = new Set(['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs']);
+const TS_EXTENSIONS = new Set(['.ts', '.tsx']);
+const MAX_DIAGNOSTICS = 10;
+
+function _loadProjectTypeScript(projectRoot) {
+  try {
+    const ts = require(require.resolve('typescript', { paths: [projectRoot] }));
+    return typeof ts.transpileModule === 'function' ? ts : null;
+  } catch {
+    return null;
+  }
+}
+
+function _loadAcorn() {
+  try {
+    const acorn = require('acorn');
+    try {
+      return acorn.Parser.extend(require('acorn-jsx')());
+    } catch {
+      return acorn.Parser;
+    }
+  } catch {
+    return null;
+  }
+}
+
+function _typeScriptDiagnostics(ts, content, fileName) {
+  const output = ts.transpileModule(content, {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: { target: ts.ScriptTarget.Latest, jsx: ts.JsxEmit.Preserve, allowJs: true },
+  });
+
+  return (output.diagnostics || [])
+    .filter(d => d.file && d.start !== undefined)
+    .map(d => {
+      const pos = d.file.getLineAndCharacterOfPosition(d.start);
+      return { line: pos.line + 1, column: pos.character + 1, message: ts.flattenDiagnosticMessageText(d.messageText, '\n') };
+    });
+}
 
-const CRASH_PATTERNS = [
-  /SyntaxError:/,
-  /TypeError:/,
-  /ReferenceError:/,
-  /Cannot find module/,
-  /EADDRINUSE/,
-  /Uncaught/,
-  /FATAL/i,
-  /Segmentation fault/,
-];
+function _acornDiagnostics(Parser, content, ext) {
+  const sourceTypes = ext === '.mjs' ? ['module'] : ext === '.cjs' ? ['script'] : ['module', 'script'];
+  let first = null;
 
-const JS_EXTENSIONS = new Set(['.ts', '.tsx', '.js', '.jsx', '.mjs']);
+  for (const sourceType of sourceTypes) {
+    try {
+      Parser.parse(content, {
+        ecmaVersion: 'latest',
+        sourceType,
+        locations: true,
+        allowReturnOutsideFunction: sourceType === 'script',
+      });
+      return [];
+    } catch (err) {
+      if (!err.loc) throw err;
+      if (!first) first = { line: err.loc.line, column: err.loc.column + 1, message: err.message.replace(/\s*\(\d+:\d+\)$/, '') };
+    }
+  }
+
+  return [first];
+}
+
+function _sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function _positionOf(content, index) {
+  const before = content.slice(0, index);
+  const line = before.split('\n').length;
+  return { line, column: index - before.lastIndexOf('\n') };
+}
+
+function _balanceDiagnostics(content) {
+  const stack = [];
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  const names = { '(': 'parenthesis', '[': 'bracket', '{': 'brace' };
+  let inString = false, stringChar = '', inTemplate = false, inComment = false, inBlockComment = false;
+  let openedAt = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    const next = content[i + 1];
+
+    if (inBlockComment) { if (ch === '*' && next === '/') { inBlockComment = false; i++; } continue; }
+    if (inComment) { if (ch === '\n') inComment = false; continue; }
+    if (inString) { if (ch === '\\') { i++; continue; } if (ch === stringChar) inString = false; continue; }
+    if (inTemplate) { if (ch === '\\') { i++; continue; } if (ch === '`') inTemplate = false; continue; }
+
+    if (ch === '/' && next === '/') { inComment = true; continue; }
+    if (ch === '/' && next === '*') { inBlockComment = true; openedAt = i; i++; continue; }
+    if (ch === '"' || ch === "'") { inString = true; stringChar = ch; openedAt = i; continue; }
+    if (ch === '`') { inTemplate = true; openedAt = i; continue; }
+
+    if (ch === '(' || ch === '[' || ch === '{') stack.push(i);
+    if (pairs[ch]) {
+      const open = stack.pop();
+      if (open === undefined || content[open] !== pairs[ch]) {
+        return [{ ..._positionOf(content, i), message: `unexpected closing ${names[pairs[ch]]} '${ch}'` }];
+      }
+    }
+  }
+
+  if (inString) return [{ ..._positionOf(content, openedAt), message: 'unclosed string literal' }];
+  if (inTemplate) return [{ ..._positionOf(content, openedAt), message: 'unclosed template literal' }];
+  if (inBlockComment) return [{ ..._positionOf(content, openedAt), message: 'unclosed block comment' }];
+  return stack.map(i => ({ ..._positionOf(content, i), message: `unclosed ${names[content[i]]} '${content[i]}'` }));
+}
 
 class CodeEngine {
   constructor(options = {}) {
     this.projectRoot = options.projectRoot || process.cwd();
     this.backupsDir = options.backupsDir || path.join(this.projectRoot, 'sneebly', 'backups');
     this.agentsContext = options.agentsContext || null;
+    this.dataDir = options.dataDir || null;
+    this.backupRetention = options.backupRetention || {};
+    this.backups = new BackupStore(this.backupsDir);
+    this.crashRules = options.crashRules || loadCrashRules(this.dataDir).rules;
+    this.policy = options.policy || null;
+    this.auditDir = options.auditDir || this.dataDir;
+    this.transaction = null;
+  }
+
+  beginTransaction(meta = {}) {
+    if (!this.dataDir) return null;
+    this.transaction = new Transaction(this.dataDir, meta);
+    return this.transaction;
+  }
+
+  commitTransaction() {
+    if (this.transaction) this.transaction.commit();
+    this.transaction = null;
+  }
+
+  rollbackTransaction() {
+    const tx = this.transaction;
+    this.transaction = null;
+    return tx ? tx.rollback() : null;
+  }
+
+  _journal(op, filePath, backupPath) {
+    if (this.transaction) this.transaction.intend(op, filePath, path.resolve(this.projectRoot, filePath), backupPath);
   }
 
   backup(filePath) {
+    const entry = this._backupEntry(filePath);
+    return entry ? entry.blobPath : null;
+  }
+
+  _backupEntry(filePath) {
     const fullPath = path.resolve(this.projectRoot, filePath);
     if (!fs.existsSync(fullPath)) return null;
 
@@ -36,10 +174,30 @@ class CodeEngine {
       fs.mkdirSync(this.backupsDir, { recursive: true });
     }
 
-    const safeName = filePath.replace(/[/\\]/g, '__');
-    const backupPath = path.join(this.backupsDir, `${safeName}.${Date.now()}`);
-    fs.copyFileSync(fullPath, backupPath);
-    return backupPath;
+    const relative = path.relative(this.projectRoot, fullPath);
+    const specId = this.transaction && this.transaction.journal.meta ? this.transaction.journal.meta.specId : null;
+    return this.backups.put(fullPath, relative, { specId });
+  }
+
+  restoreBackup(id, options = {}) {
+    const entry = this.backups.find(id);
+    if (!entry) return { restored: false, reason: `No backup matches ${id}` };
+    if (entry.ambiguous) return { restored: false, reason: `${id} is ambiguous: ${entry.matches.join(', ')}` };
+
+    const filePath = options.to || entry.filePath;
+    const safetyCheck = this._checkSafety(filePath);
+    if (!safetyCheck.safe) return { restored: false, reason: safetyCheck.reason };
+    if (!fs.existsSync(entry.blobPath)) return { restored: false, reason: `Backup content missing for ${entry.id}` };
+
+    const fullPath = path.resolve(this.projectRoot, filePath);
+    try {
+      const previous = this._backupEntry(filePath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.copyFileSync(entry.blobPath, fullPath);
+      return { restored: true, id: entry.id, filePath, previous: previous ? previous.id : null };
+    } catch (err) {
+      return { restored: false, reason: err.message };
+    }
   }
 
   _fuzzyMatch(content, oldCode) {
@@ -69,6 +227,8 @@ class CodeEngine {
   applyChange(filePath, oldCode, newCode) {
     const safetyCheck = this._checkSafety(filePath);
     if (!safetyCheck.safe) return { applied: false, reason: safetyCheck.reason };
+    const secretCheck = this._checkSecrets(filePath, newCode, 'applyChange');
+    if (!secretCheck.safe) return { applied: false, reason: secretCheck.reason, secrets: secretCheck.findings };
 
     const fullPath = path.resolve(this.projectRoot, filePath);
     if (!fs.existsSync(fullPath)) return { applied: false, reason: `File not found: ${filePath}` };
@@ -87,55 +247,132 @@ class CodeEngine {
       }
     }
 
-    const backupPath = this.backup(filePath);
+    let backupPath;
+    try {
+      backupPath = this.backup(filePath);
+    } catch (err) {
+      return { applied: false, reason: err.message };
+    }
+    this._journal('write', filePath, backupPath);
     fs.writeFileSync(fullPath, currentContent.replace(matchedOldCode, newCode), 'utf-8');
 
     return { applied: true, backupPath, fuzzyMatched: matchedOldCode !== oldCode };
   }
 
-  verifySyntax(filePath) {
-    const fullPath = path.resolve(this.projectRoot, filePath);
-    if (!JS_EXTENSIONS.has(path.extname(fullPath).toLowerCase())) return { valid: true };
+  applyPatch(patch) {
+    let files;
+    try {
+      files = parsePatch(patch);
+    } catch (err) {
+      return { applied: false, reason: `Invalid patch: ${err.message}`, files: [] };
+    }
+    if (files.length === 0) return { applied: false, reason: 'Patch contains no ---/+++ file sections', files: [] };
+
+    const reports = [];
+    const planned = [];
+    for (const file of files) {
+      const filePath = file.newPath || file.oldPath;
+      const report = { filePath, created: !file.oldPath, deleted: !file.newPath, hunks: [] };
+      reports.push(report);
+
+      if (!filePath) { report.reason = 'both sides are /dev/null'; continue; }
+      if (file.oldPath && file.newPath && path.normalize(file.oldPath) !== path.normalize(file.newPath)) {
+        report.reason = `renames are not supported (${file.oldPath} → ${file.newPath})`;
+        continue;
+      }
+
+      const safetyCheck = this._checkSafety(filePath);
+      if (!safetyCheck.safe) { report.reason = safetyCheck.reason; continue; }
+      const added = file.hunks.flatMap(h => h.lines.filter(l => l[0] === '+').map(l => l.slice(1))).join('\n');
+      const secretCheck = this._checkSecrets(filePath, added, 'applyPatch');
+      if (!secretCheck.safe) { report.reason = secretCheck.reason; report.secrets = secretCheck.findings; continue; }
+
+      const fullPath = path.resolve(this.projectRoot, filePath);
+      const exists = fs.existsSync(fullPath);
+      if (report.created && exists) { report.reason = `File already exists: ${filePath}`; continue; }
+      if (!report.created && !exists) { report.reason = `File not found: ${filePath}`; continue; }
+
+      const outcome = applyHunks(exists ? fs.readFileSync(fullPath, 'utf-8') : '', file.hunks, { newFile: report.created });
+      report.hunks = outcome.hunks;
+      if (!outcome.ok) {
+        report.reason = outcome.hunks.filter(h => !h.applied).map(h => `hunk ${h.hunk} (${h.header}) rejected: ${h.reason}`).join('; ');
+        continue;
+      }
+      if (report.deleted && outcome.content.trim() !== '') {
+        report.reason = 'deletion patch does not remove the whole file';
+        continue;
+      }
+      planned.push({ filePath, fullPath, content: outcome.content, deleted: report.deleted });
+    }
+
+    const rejected = reports.filter(r => r.reason);
+    if (rejected.length > 0) {
+      return { applied: false, reason: rejected.map(r => `${r.filePath || '?'}: ${r.reason}`).join('; '), files: reports };
+    }
 
+    let backupInfo;
     try {
-      const content = fs.readFileSync(fullPath, 'utf-8');
-      let braceDepth = 0, parenDepth = 0, bracketDepth = 0;
-      let inString = false, stringChar = '', inTemplate = false, inComment = false, inBlockComment = false;
-
-      for (let i = 0; i < content.length; i++) {
-        const ch = content[i];
-        const next = content[i + 1];
-
-        if (inBlockComment) { if (ch === '*' && next === '/') { inBlockComment = false; i++; } continue; }
-        if (inComment) { if (ch === '\n') inComment = false; continue; }
-        if (inString) { if (ch === '\\') { i++; continue; } if (ch === stringChar) inString = false; continue; }
-        if (inTemplate) { if (ch === '\\') { i++; continue; } if (ch === '`') inTemplate = false; continue; }
-
-        if (ch === '/' && next === '/') { inComment = true; continue; }
-        if (ch === '/' && next === '*') { inBlockComment = true; i++; continue; }
-        if (ch === '"' || ch === "'") { inString = true; stringChar = ch; continue; }
-        if (ch === '`') { inTemplate = true; continue; }
-
-        if (ch === '{') braceDepth++;
-        if (ch === '}') { braceDepth--; if (braceDepth < 0) return { valid: false, issues: [`extra closing brace at position ${i}`] }; }
-        if (ch === '(') parenDepth++;
-        if (ch === ')') { parenDepth--; if (parenDepth < 0) return { valid: false, issues: [`extra closing parenthesis at position ${i}`] }; }
-        if (ch === '[') bracketDepth++;
-        if (ch === ']') { bracketDepth--; if (bracketDepth < 0) return { valid: false, issues: [`extra closing bracket at position ${i}`] }; }
+      backupInfo = this.backupMultiple(planned.map(p => p.filePath));
+    } catch (err) {
+      return { applied: false, reason: err.message, files: reports };
+    }
+    try {
+      for (const change of planned) {
+        this._journal(change.deleted ? 'delete' : backupInfo.backups[change.filePath] ? 'write' : 'create', change.filePath, backupInfo.backups[change.filePath]);
+        if (change.deleted) {
+          fs.unlinkSync(change.fullPath);
+        } else {
+          fs.mkdirSync(path.dirname(change.fullPath), { recursive: true });
+          fs.writeFileSync(change.fullPath, change.content, 'utf-8');
+        }
       }
+    } catch (err) {
+      this.rollbackMultiple(backupInfo);
+      return { applied: false, reason: `Failed to write patched files: ${err.message}`, files: reports };
+    }
 
-      const issues = [];
-      if (braceDepth !== 0) issues.push(`unbalanced braces (depth: ${braceDepth})`);
-      if (parenDepth !== 0) issues.push(`unbalanced parentheses (depth: ${parenDepth})`);
-      if (bracketDepth !== 0) issues.push(`unbalanced brackets (depth: ${bracketDepth})`);
-      if (inString) issues.push('unclosed string literal');
-      if (inTemplate) issues.push('unclosed template literal');
-      if (inBlockComment) issues.push('unclosed block comment');
+    return { applied: true, files: reports, backups: backupInfo };
+  }
 
-      return issues.length > 0 ? { valid: false, issues } : { valid: true };
+  verifySyntax(filePath) {
+    const fullPath = path.resolve(this.projectRoot, filePath);
+    const ext = path.extname(fullPath).toLowerCase();
+    if (!JS_EXTENSIONS.has(ext)) return { valid: true };
+
+    let content;
+    try {
+      content = fs.readFileSync(fullPath, 'utf-8');
     } catch (err) {
-      return { valid: false, issues: [`read error: ${err.message}`] };
+      const message = `read error: ${err.message}`;
+      return { valid: false, parser: null, issues: [message], diagnostics: [{ line: 1, column: 1, message }] };
+    }
+
+    if (this._typescript === undefined) this._typescript = _loadProjectTypeScript(this.projectRoot);
+    if (this._acorn === undefined) this._acorn = _loadAcorn();
+
+    let parser = 'balance';
+    let diagnostics;
+    try {
+      if (this._typescript) {
+        parser = 'typescript';
+        diagnostics = _typeScriptDiagnostics(this._typescript, content, fullPath);
+      } else if (this._acorn && !TS_EXTENSIONS.has(ext)) {
+        parser = 'acorn';
+        diagnostics = _acornDiagnostics(this._acorn, content, ext);
+      }
+    } catch {
+      parser = 'balance';
     }
+    if (parser === 'balance') diagnostics = _balanceDiagnostics(content);
+
+    diagnostics = diagnostics.slice(0, MAX_DIAGNOSTICS);
+    if (diagnostics.length === 0) return { valid: true, parser };
+    return {
+      valid: false,
+      parser,
+      issues: diagnostics.map(d => `${d.line}:${d.column} ${d.message}`),
+      diagnostics,
+    };
   }
 
   rollback(filePath, backupPath) {
@@ -146,38 +383,57 @@ class CodeEngine {
     return { restored: true };
   }
 
-  runTests(testCommand) {
-    const cmdCheck = CommandValidator.isAllowed(testCommand);
+  runTests(testCommand, options = {}) {
+    const policy = this._policy();
+    const cmdCheck = CommandValidator.isAllowed(testCommand, policy);
     if (!cmdCheck.allowed) return { passed: false, reason: cmdCheck.reason, output: '' };
 
-    const isHealthCheck = testCommand.includes('/health') || testCommand.includes('curl');
+    const selection = options.changedFiles
+      ? selectTests(this.projectRoot, testCommand, { ...options, dataDir: options.dataDir || this.dataDir })
+      : { mode: 'full', command: testCommand, reason: 'no changed files' };
+    if (selection.mode === 'impact') {
+      if (!selection.command) {
+        recordTestRun(options.dataDir || this.dataDir, 'impact');
+        return { passed: true, warning: 'no-affected-tests', output: '', selection };
+      }
+    }
+    if (options.changedFiles) recordTestRun(options.dataDir || this.dataDir, selection.mode);
+
+    // The selected runner argv is derived from the allowed test command, so it runs as an exact
+    // internal entry instead of widening the global allow-list that agent tools share
+    const command = selection.mode === 'impact' ? selection.argv : selection.command;
+    const runPolicy = selection.mode === 'impact'
+      ? { ...policy, commands: { ...policy.commands, entries: [...policy.commands.entries, { argv: selection.argv }] } }
+      : policy;
+    const isHealthCheck = selection.command.includes('/health') || selection.command.includes('curl');
     const maxRetries = isHealthCheck ? 4 : 1;
     const retryDelaySeconds = 3;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      if (attempt > 1 || isHealthCheck) {
-        execSync(`sleep ${retryDelaySeconds}`, { cwd: this.projectRoot });
-      }
+      if (attempt > 1 || isHealthCheck) _sleepSync(retryDelaySeconds * 1000);
 
-      try {
-        const output = execSync(testCommand, {
-          cwd: this.projectRoot, timeout: 60000, encoding: 'utf-8',
-          stdio: ['pipe', 'pipe', 'pipe'],
-        });
-        return { passed: true, output };
-      } catch (err) {
-        const combined = (err.stdout || '') + '\n' + (err.stderr || '');
-
-        if (combined.includes('no test specified') || combined.includes('Error: no test specified')) {
-          return { passed: true, warning: 'no-tests-configured', output: combined };
-        }
-        if (attempt < maxRetries) continue;
+      const run = runCommand(command, {
+        projectRoot: this.projectRoot, dataDir: this.auditDir, policy: runPolicy, source: 'tests', timeoutMs: 60000,
+      });
+      if (run.blocked) return { passed: false, reason: run.reason, output: '', selection };
+      if (run.ok) return { passed: true, output: run.stdout, selection };
 
-        return { passed: false, output: combined.slice(0, 5000), errors: (err.stderr || '').slice(0, 2000) };
+      const combined = run.stdout + '\n' + (run.stderr || run.error || '');
+      if (combined.includes('no test specified') || combined.includes('Error: no test specified')) {
+        return { passed: true, warning: 'no-tests-configured', output: combined, selection };
       }
+      if (attempt < maxRetries) continue;
+
+      return { passed: false, output: combined.slice(0, 5000), errors: (run.stderr || run.error || '').slice(0, 2000), selection };
     }
   }
 
+  formatAndLint(filePaths, options = {}) {
+    if (!this._styleTools) this._styleTools = detectStyleTools(this.projectRoot);
+    const safe = filePaths.filter(f => this._checkSafety(f).safe);
+    return formatAndLint(this.projectRoot, safe, { tools: this._styleTools, dataDir: this.auditDir, policy: this._policy(), before: options.before });
+  }
+
   _pollHealthEndpoint(healthUrl, timeoutMs, checkIntervalMs = 2000, abortCheck = null) {
     const maxChecks = Math.ceil(timeoutMs / checkIntervalMs);
 
@@ -221,12 +477,30 @@ class CodeEngine {
     });
   }
 
-  verifyRuntime(options = {}) {
-    return this._pollHealthEndpoint(
-      options.healthUrl || 'http://localhost:5000/health',
+  async verifyRuntime(options = {}) {
+    const healthUrl = options.healthUrl || 'http://localhost:5000/health';
+    const healthResult = await this._pollHealthEndpoint(
+      healthUrl,
       options.timeoutMs || 15000,
       options.checkIntervalMs || 2000
     );
+    return this._runProbesAfterHealth(healthResult, { ...options, healthUrl });
+  }
+
+  async _runProbesAfterHealth(healthResult, options) {
+    const probes = options.probes || [];
+    if (!healthResult.healthy || probes.length === 0) return healthResult;
+
+    const baseUrl = options.baseUrl || new URL(options.healthUrl).origin;
+    const results = await runProbes(baseUrl, probes, { timeoutMs: options.probeTimeoutMs });
+    const failed = results.filter(r => !r.passed);
+    if (failed.length === 0) return { ...healthResult, probes: results };
+    return {
+      ...healthResult,
+      healthy: false,
+      reason: `${failed.length}/${results.length} probe(s) failed: ${failed.map(r => `${r.name} — ${r.reason}`).join('; ')}`,
+      probes: results,
+    };
   }
 
   verifyRuntimeWithProcess(options = {}) {
@@ -240,6 +514,7 @@ class CodeEngine {
       let stderr = '';
       let exited = false;
       let resolved = false;
+      const captured = () => ({ stdout: this._redact(stdout).slice(0, 2000), stderr: this._redact(stderr).slice(0, 2000) });
 
       const finish = (result) => {
         if (resolved) return;
@@ -248,11 +523,10 @@ class CodeEngine {
         resolve(result);
       };
 
-      const proc = spawn(startCommand, [], {
-        cwd: this.projectRoot,
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true,
+      const { proc, reason } = spawnCommand(startCommand, {
+        projectRoot: this.projectRoot, dataDir: this.auditDir, policy: this._policy(), source: 'runtime-validation', env: options.env,
       });
+      if (!proc) return resolve({ healthy: false, reason: `startCommand blocked: ${reason}` });
 
       proc.stdout.on('data', (data) => { stdout += data.toString(); });
       proc.stderr.on('data', (data) => { stderr += data.toString(); });
@@ -265,46 +539,62 @@ class CodeEngine {
       proc.on('exit', (code) => {
         exited = true;
         if (code !== null && code !== 0) {
-          finish({ healthy: false, reason: `Process exited with code ${code}`, stdout: stdout.slice(0, 2000), stderr: stderr.slice(0, 2000) });
+          const crashes = this._detectCrashPatterns(stdout + '\n' + stderr);
+          finish({
+            healthy: false,
+            reason: `Process exited with code ${code}`,
+            errors: crashes.length > 0 ? crashes.slice(0, 3).map(c => c.message) : undefined,
+            crashes,
+            ...captured(),
+          });
         }
       });
 
       setTimeout(async () => {
         if (resolved) return;
 
-        const crashErrors = this._detectCrashPatterns(stdout + '\n' + stderr);
-        if (crashErrors.length > 0 || exited) {
-          finish({ healthy: false, reason: 'Process crashed during startup', errors: crashErrors.slice(0, 3), stdout: stdout.slice(0, 2000), stderr: stderr.slice(0, 2000) });
+        const crashes = this._detectCrashPatterns(stdout + '\n' + stderr);
+        const fatal = crashes.filter(c => c.fatal);
+        if (fatal.length > 0 || exited) {
+          finish({
+            healthy: false,
+            reason: 'Process crashed during startup',
+            errors: (fatal.length > 0 ? fatal : crashes).slice(0, 3).map(c => c.message),
+            crashes,
+            ...captured(),
+          });
           return;
         }
 
         const abortCheck = () => {
           if (exited) {
-            return { healthy: false, reason: 'Process exited before health check passed', stdout: stdout.slice(0, 2000), stderr: stderr.slice(0, 2000) };
+            return { healthy: false, reason: 'Process exited before health check passed', ...captured() };
           }
           return null;
         };
 
-        const healthResult = await this._pollHealthEndpoint(healthUrl, healthTimeoutMs, 2000, abortCheck);
+        const healthResult = await this._runProbesAfterHealth(
+          await this._pollHealthEndpoint(healthUrl, healthTimeoutMs, 2000, abortCheck),
+          { ...options, healthUrl }
+        );
         if (!healthResult.healthy) {
-          healthResult.stdout = healthResult.stdout || stdout.slice(0, 2000);
-          healthResult.stderr = healthResult.stderr || stderr.slice(0, 2000);
+          const output = captured();
+          healthResult.stdout = healthResult.stdout || output.stdout;
+          healthResult.stderr = healthResult.stderr || output.stderr;
         }
+        const later = this._detectCrashPatterns(stdout + '\n' + stderr);
+        if (later.length > 0) healthResult.crashes = later;
         finish(healthResult);
       }, crashWatchMs);
     });
   }
 
   _detectCrashPatterns(output) {
-    const errors = [];
-    for (const pattern of CRASH_PATTERNS) {
-      const match = output.match(pattern);
-      if (match) {
-        const idx = output.indexOf(match[0]);
-        errors.push(output.substring(Math.max(0, idx - 50), Math.min(output.length, idx + 200)).trim());
-      }
-    }
-    return errors;
+    return detectCrashes(this._redact(output), this.crashRules, { projectRoot: this.projectRoot });
+  }
+
+  _redact(text) {
+    return redactSecrets(text, { policy: this._policy() });
   }
 
   backupMultiple(filePaths) {
@@ -337,20 +627,23 @@ class CodeEngine {
     return results;
   }
 
-  cleanupOldBackups(keepCount = 50) {
-    if (!fs.existsSync(this.backupsDir)) return;
+  cleanupOldBackups(policy = this.backupRetention) {
+    if (!fs.existsSync(this.backupsDir)) return null;
+    const protect = this.dataDir
+      ? listTransactions(this.dataDir).flatMap(tx => (tx.entries || []).map(e => e.backupPath).filter(Boolean))
+      : [];
     try {
-      const files = fs.readdirSync(this.backupsDir).sort();
-      if (files.length <= keepCount) return;
-      for (const file of files.slice(0, files.length - keepCount)) {
-        try { fs.unlinkSync(path.join(this.backupsDir, file)); } catch {}
-      }
-    } catch {}
+      return this.backups.prune({ ...policy, protect });
+    } catch {
+      return null;
+    }
   }
 
   async createFile(filePath, content) {
     const safetyCheck = this._checkSafety(filePath);
     if (!safetyCheck.safe) return { success: false, error: safetyCheck.reason };
+    const secretCheck = this._checkSecrets(filePath, content, 'createFile');
+    if (!secretCheck.safe) return { success: false, error: secretCheck.reason, secrets: secretCheck.findings };
 
     const fullPath = path.resolve(this.projectRoot, filePath);
 
@@ -359,6 +652,7 @@ class CodeEngine {
     }
 
     try {
+      this._journal('create', filePath);
       await mkdir(path.dirname(fullPath), { recursive: true });
       await writeFile(fullPath, content, 'utf-8');
     } catch (err) {
@@ -369,23 +663,74 @@ class CodeEngine {
       const syntaxCheck = this.verifySyntax(filePath);
       if (!syntaxCheck.valid) {
         try { await unlink(fullPath); } catch {}
-        return { success: false, error: `Syntax errors in created file: ${syntaxCheck.issues.join(', ')}` };
+        return { success: false, error: `Syntax errors in created file: ${syntaxCheck.issues.join(', ')}`, diagnostics: syntaxCheck.diagnostics };
       }
     }
 
     return { success: true, filePath: fullPath };
   }
 
+  promoteFile(sourceRoot, filePath) {
+    const safetyCheck = this._checkSafety(filePath);
+    if (!safetyCheck.safe) return { promoted: false, reason: safetyCheck.reason };
+
+    const source = path.resolve(sourceRoot, filePath);
+    const fullPath = path.resolve(this.projectRoot, filePath);
+    try {
+      const backupPath = this.backup(filePath);
+      if (!fs.existsSync(source)) {
+        if (!backupPath) return { promoted: true };
+        this._journal('delete', filePath, backupPath);
+        fs.unlinkSync(fullPath);
+        return { promoted: true, deleted: true, backupPath };
+      }
+
+      this._journal(backupPath ? 'write' : 'create', filePath, backupPath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.copyFileSync(source, fullPath);
+      return { promoted: true, created: !backupPath, backupPath };
+    } catch (err) {
+      return { promoted: false, reason: err.message };
+    }
+  }
+
   async deleteFile(filePath) {
-    const fullPath = path.isAbsolute(filePath) ? filePath : path.resolve(this.projectRoot, filePath);
+    if (!filePath || path.isAbsolute(filePath) || path.normalize(filePath).includes('..')) {
+      return { success: false, error: `Refusing to delete '${filePath}' — only paths inside the project can be deleted` };
+    }
+    const fullPath = path.resolve(this.projectRoot, filePath);
     try {
+      const relative = path.relative(this.projectRoot, fullPath);
+      const backupPath = this.backup(relative);
+      if (backupPath) this._journal('delete', relative, backupPath);
       await unlink(fullPath);
-      return { success: true };
+      return { success: true, backupPath };
     } catch (err) {
       return { success: false, error: err.message };
     }
   }
 
+  _dataDir() {
+    return this.dataDir || path.join(this.projectRoot, '.sneebly');
+  }
+
+  _policy() {
+    return this.policy || getPolicy(this._dataDir());
+  }
+
+  _checkSecrets(filePath, text, source) {
+    const scan = scanForSecrets(text, { policy: this._policy() });
+    if (scan.clean) return { safe: true };
+
+    const findings = scan.findings.map(f => ({ filePath, ...f }));
+    recordSecretBlock(this.auditDir || this._dataDir(), { source, filePath, findings });
+    return {
+      safe: false,
+      reason: `Secret detected — ${describeFindings(findings)}. Read it from an environment variable instead of hardcoding it`,
+      findings,
+    };
+  }
+
   _checkSafety(filePath) {
     const normalized = path.normalize(filePath);
     const basename = path.basename(normalized);
@@ -396,9 +741,22 @@ class CodeEngine {
     if (normalized.includes('..')) {
       return { safe: false, reason: 'Path traversal (..) is blocked' };
     }
-    if (this.agentsContext) return isPathSafe(normalized, this.agentsContext);
+    if (path.isAbsolute(normalized) || path.win32.isAbsolute(normalized)) {
+      return { safe: false, reason: 'Absolute paths are blocked — use a path relative to the project root' };
+    }
+    const relative = path.relative(path.resolve(this.projectRoot), path.resolve(this.projectRoot, normalized));
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return { safe: false, reason: `Path '${normalized}' does not resolve to a file inside the project` };
+    }
+    if (path.resolve(this.projectRoot, normalized) === path.resolve(policyPath(this._dataDir()))) {
+      return { safe: false, reason: `Policy file '${normalized}' is always blocked` };
+    }
+
+    const policy = this._policy();
+    const agentsContext = policy.writes.useAgentsMd === false ? null : this.agentsContext;
+    if (agentsContext || pathRules(null, policy).length > 0) return isPathSafe(normalized, agentsContext, policy);
 
-    return { safe: true, reason: 'No agents context — allowing by default' };
+    return { safe: true, reason: 'No path rules in AGENTS.md or policy.json — allowing by default' };
   }
 }
 
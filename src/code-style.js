@@ -0,0 +1,190 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('./command-runner');
+
+const TOOL_TIMEOUT_MS = 60000;
+const MAX_LINT_DIAGNOSTICS = 20;
+
+const PRETTIER_CONFIGS = [
+  '.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml', '.prettierrc.json5',
+  '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.mjs', '.prettierrc.toml',
+  'prettier.config.js', 'prettier.config.cjs', 'prettier.config.mjs',
+];
+const ESLINT_CONFIGS = [
+  'eslint.config.js', 'eslint.config.cjs', 'eslint.config.mjs', 'eslint.config.ts',
+  '.eslintrc', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.json', '.eslintrc.yaml', '.eslintrc.yml',
+];
+const BIOME_CONFIGS = ['biome.json', 'biome.jsonc'];
+const LINTABLE_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts']);
+
+function _readPackage(projectRoot) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function _hasBinary(projectRoot, name) {
+  return fs.existsSync(path.join(projectRoot, 'node_modules', '.bin', name));
+}
+
+function _hasConfig(projectRoot, names) {
+  return names.some(name => fs.existsSync(path.join(projectRoot, name)));
+}
+
+function detectStyleTools(projectRoot) {
+  const pkg = _readPackage(projectRoot);
+  const tools = [];
+
+  if (_hasBinary(projectRoot, 'biome') && _hasConfig(projectRoot, BIOME_CONFIGS)) tools.push('biome');
+  if (_hasBinary(projectRoot, 'prettier') && (_hasConfig(projectRoot, PRETTIER_CONFIGS) || pkg.prettier)) tools.push('prettier');
+  if (_hasBinary(projectRoot, 'eslint') && (_hasConfig(projectRoot, ESLINT_CONFIGS) || pkg.eslintConfig)) tools.push('eslint');
+  return tools;
+}
+
+function _run(projectRoot, args, options = {}) {
+  const result = runCommand(['npx', ...args], {
+    projectRoot,
+    dataDir: options.dataDir,
+    policy: options.policy,
+    source: 'format',
+    timeoutMs: TOOL_TIMEOUT_MS,
+  });
+  if (result.blocked) return { ok: false, blocked: true, output: result.reason };
+  if (result.ok) return { ok: true, output: result.stdout };
+  return { ok: false, status: result.exitCode, output: result.stdout, errors: result.stderr || result.error };
+}
+
+function _relative(projectRoot, filePath) {
+  return path.relative(projectRoot, path.resolve(projectRoot, filePath)).replace(/\\/g, '/');
+}
+
+function _parseEslintJson(projectRoot, output) {
+  const diagnostics = [];
+  for (const fileResult of JSON.parse(output)) {
+    for (const msg of fileResult.messages || []) {
+      if (msg.severity !== 2) continue;
+      diagnostics.push({
+        filePath: _relative(projectRoot, fileResult.filePath),
+        line: msg.line || 0,
+        column: msg.column || 0,
+        message: msg.message,
+        rule: msg.ruleId || null,
+      });
+    }
+  }
+  return diagnostics;
+}
+
+function _parseBiomeOutput(output) {
+  const diagnostics = [];
+  const lines = output.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i].match(/^(\S+?):(\d+):(\d+)\s+(\S+)/);
+    if (!header || !header[4].startsWith('lint/')) continue;
+    const messageLine = lines.slice(i + 1, i + 4).find(l => /^\s*[✖×!]/.test(l));
+    diagnostics.push({
+      filePath: header[1],
+      line: parseInt(header[2], 10),
+      column: parseInt(header[3], 10),
+      message: messageLine ? messageLine.replace(/^\s*[✖×!]\s*/, '').trim() : header[4],
+      rule: header[4],
+    });
+  }
+  return diagnostics;
+}
+
+function _addedLines(oldLines, newLines) {
+  const remaining = new Map();
+  for (const line of oldLines) remaining.set(line, (remaining.get(line) || 0) + 1);
+  const added = new Set();
+  newLines.forEach((line, i) => {
+    const left = remaining.get(line) || 0;
+    if (left > 0) remaining.set(line, left - 1);
+    else added.add(i + 1);
+  });
+  return added;
+}
+
+// Lint debt a file already had isn't the change's fault: with the pre-change copies in `before`
+// ({ filePath: backupPath }), only diagnostics on lines the change added are kept
+function _newDiagnostics(projectRoot, diagnostics, before) {
+  const previous = new Map(Object.entries(before).map(([filePath, backupPath]) => [_relative(projectRoot, filePath), backupPath]));
+  const added = new Map();
+  return diagnostics.filter(d => {
+    if (!previous.has(d.filePath)) return true;
+    if (!added.has(d.filePath)) {
+      try {
+        const oldLines = fs.readFileSync(previous.get(d.filePath), 'utf-8').split('\n');
+        const newLines = fs.readFileSync(path.resolve(projectRoot, d.filePath), 'utf-8').split('\n');
+        added.set(d.filePath, _addedLines(oldLines, newLines));
+      } catch {
+        added.set(d.filePath, null);
+      }
+    }
+    return !added.get(d.filePath) || added.get(d.filePath).has(d.line);
+  });
+}
+
+function formatAndLint(projectRoot, filePaths, options = {}) {
+  const files = [...new Set(filePaths)]
+    .filter(f => fs.existsSync(path.resolve(projectRoot, f)))
+    .map(f => _relative(projectRoot, f));
+  const tools = options.tools || detectStyleTools(projectRoot);
+  const result = { tools, formatted: [], diagnostics: [], warnings: [], ignored: 0 };
+  if (files.length === 0 || tools.length === 0) return result;
+
+  const unsafe = files.find(f => f.startsWith('-'));
+  if (unsafe) {
+    result.warnings.push(`skipped formatting: unsupported file name ${unsafe}`);
+    return result;
+  }
+  const lintable = files.filter(f => LINTABLE_EXTENSIONS.has(path.extname(f)));
+
+  if (tools.includes('biome')) {
+    const run = _run(projectRoot, ['biome', 'check', '--write', '--no-errors-on-unmatched', ...files], options);
+    if (run.blocked) result.warnings.push(`biome blocked: ${run.output}`);
+    else {
+      result.formatted.push('biome');
+      if (!run.ok) {
+        const found = _parseBiomeOutput(`${run.output}\n${run.errors || ''}`);
+        if (found.length > 0) result.diagnostics.push(...found);
+        else result.warnings.push(`biome failed: ${String(run.errors || run.output).trim().split('\n')[0]}`);
+      }
+    }
+  }
+
+  if (tools.includes('prettier')) {
+    const run = _run(projectRoot, ['prettier', '--write', '--ignore-unknown', ...files], options);
+    if (run.ok) result.formatted.push('prettier');
+    else result.warnings.push(`prettier failed: ${String(run.errors || run.output).trim().split('\n')[0]}`);
+  }
+
+  if (tools.includes('eslint') && lintable.length > 0) {
+    const run = _run(projectRoot, ['eslint', '--fix', '--format', 'json', ...lintable], options);
+    try {
+      result.diagnostics.push(..._parseEslintJson(projectRoot, run.output));
+      result.formatted.push('eslint');
+    } catch {
+      result.warnings.push(`eslint failed: ${String(run.errors || run.output).trim().split('\n')[0]}`);
+    }
+  }
+
+  if (options.before) {
+    const fresh = _newDiagnostics(projectRoot, result.diagnostics, options.before);
+    result.ignored = result.diagnostics.length - fresh.length;
+    result.diagnostics = fresh;
+  }
+  result.diagnostics = result.diagnostics.slice(0, MAX_LINT_DIAGNOSTICS);
+  return result;
+}
+
+module.exports = {
+  detectStyleTools,
+  formatAndLint,
+  _parseEslintJson,
+  _parseBiomeOutput,
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { CommandValidator } = require('./security');
+const { getPolicy } = require('./policy');
+
+const AUDIT_DIR = 'decisions';
+const AUDIT_PREFIX = 'commands-';
+const MAX_BUFFER = 10 * 1024 * 1024;
+const MAX_AUDIT_ARG = 200;
+
+function _childEnv(names, extra) {
+  const env = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    if (names.some(n => (n.endsWith('*') ? key.startsWith(n.slice(0, -1)) : key === n))) env[key] = value;
+  }
+  return { ...env, ...(extra || {}) };
+}
+
+function prepareCommand(command, options = {}) {
+  const projectRoot = path.resolve(options.projectRoot || process.cwd());
+  const policy = options.policy || getPolicy(options.dataDir);
+  const argv = typeof command === 'string' ? CommandValidator.parse(command).argv : command;
+  const check = typeof command === 'string' ? CommandValidator.isAllowed(command, policy) : CommandValidator.checkArgv(command, policy);
+  if (!check.allowed) return { allowed: false, argv, projectRoot, reason: check.reason };
+
+  const entry = check.entry || {};
+  const cwd = path.resolve(projectRoot, entry.cwd || '.');
+  if (path.relative(projectRoot, cwd).startsWith('..')) {
+    return { allowed: false, argv, projectRoot, reason: `Working directory '${entry.cwd}' is outside the project` };
+  }
+
+  return {
+    allowed: true,
+    argv,
+    projectRoot,
+    cwd,
+    entry: check.entry,
+    timeoutMs: entry.timeoutMs || options.timeoutMs || policy.commands.timeoutMs,
+    env: _childEnv([...policy.commands.env, ...(entry.env || [])], options.env),
+  };
+}
+
+function auditCommand(dataDir, record) {
+  if (!dataDir) return;
+  const timestamp = new Date().toISOString();
+  const file = path.join(dataDir, AUDIT_DIR, `${AUDIT_PREFIX}${timestamp.slice(0, 7)}.jsonl`);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ timestamp, action: 'command', ...record }) + '\n');
+  } catch {}
+}
+
+function _auditRecord(prepared, options, outcome) {
+  return {
+    source: options.source || null,
+    argv: (prepared.argv || []).map(a => (a.length > MAX_AUDIT_ARG ? `${a.slice(0, MAX_AUDIT_ARG)}...` : a)),
+    cwd: prepared.cwd ? path.relative(prepared.projectRoot, prepared.cwd).replace(/\\/g, '/') || '.' : null,
+    entry: prepared.entry ? prepared.entry.argv.join(' ') : null,
+    ...outcome,
+  };
+}
+
+function _auditDir(options, prepared) {
+  return options.dataDir || path.join(prepared.projectRoot, '.sneebly');
+}
+
+function runCommand(command, options = {}) {
+  const started = Date.now();
+  const prepared = prepareCommand(command, options);
+  if (!prepared.allowed) {
+    auditCommand(_auditDir(options, prepared), _auditRecord(prepared, options, { allowed: false, reason: prepared.reason }));
+    return { ok: false, blocked: true, reason: prepared.reason, argv: prepared.argv, stdout: '', stderr: '' };
+  }
+
+  const [file, ...args] = prepared.argv;
+  const proc = spawnSync(file, args, {
+    cwd: prepared.cwd,
+    env: prepared.env,
+    timeout: prepared.timeoutMs,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: MAX_BUFFER,
+    windowsHide: true,
+  });
+
+  const timedOut = !!proc.error && proc.error.code === 'ETIMEDOUT';
+  const result = {
+    ok: !proc.error && proc.status === 0,
+    exitCode: proc.status,
+    signal: proc.signal,
+    timedOut,
+    durationMs: Date.now() - started,
+    stdout: proc.stdout || '',
+    stderr: proc.stderr || '',
+    argv: prepared.argv,
+  };
+  if (proc.error && !timedOut) result.error = proc.error.message;
+  if (timedOut) result.error = `timed out after ${prepared.timeoutMs}ms`;
+
+  auditCommand(_auditDir(options, prepared), _auditRecord(prepared, options, {
+    allowed: true,
+    exitCode: result.exitCode,
+    signal: result.signal,
+    timedOut,
+    durationMs: result.durationMs,
+    error: result.error,
+  }));
+  return result;
+}
+
+function spawnCommand(command, options = {}) {
+  const started = Date.now();
+  const prepared = prepareCommand(command, options);
+  const auditDir = _auditDir(options, prepared);
+  if (!prepared.allowed) {
+    auditCommand(auditDir, _auditRecord(prepared, options, { allowed: false, reason: prepared.reason }));
+    return { proc: null, reason: prepared.reason };
+  }
+
+  const [file, ...args] = prepared.argv;
+  const proc = spawn(file, args, {
+    cwd: prepared.cwd,
+    env: prepared.env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    windowsHide: true,
+  });
+
+  let audited = false;
+  const audit = (outcome) => {
+    if (audited) return;
+    audited = true;
+    auditCommand(auditDir, _auditRecord(prepared, options, { allowed: true, ...outcome, durationMs: Date.now() - started }));
+  };
+  proc.on('error', err => audit({ exitCode: null, signal: null, error: err.message }));
+  proc.on('exit', (code, signal) => audit({ exitCode: code, signal }));
+  return { proc };
+}
+
+module.exports = {
+  prepareCommand,
+  runCommand,
+  spawnCommand,
+  auditCommand,
+  _childEnv,
+};
@@ -21,6 +21,8 @@ const SECURITY_FOOTER =
 
 const MEMORY_TAIL_LIMIT = 4000;
 
+const PROMPT_SEPARATOR = '\n\n---\n\n';
+
 /**
  * Load all identity/configuration files from the project root.
  * Each file is parsed with gray-matter to extract optional YAML frontmatter
@@ -86,11 +88,44 @@ function loadContext(projectRoot = '.') {
  * @returns {string} The assembled system prompt
  */
 function buildSystemPrompt(context) {
-  const sections = [];
+  return [..._identitySections(context), ..._volatileSections(context)].join(PROMPT_SEPARATOR);
+}
+
+/**
+ * Build the system prompt as ordered blocks for prompt caching:
+ *   1. Stable identity prefix (SOUL → IDENTITY → AGENTS → TOOLS → USER → GOALS)
+ *   2. Subagent definition (stable per subagent)
+ *   3. Volatile tail (MEMORY.md + security footer) — never cached
+ *
+ * Blocks with `cache: true` are sent with a cache-control marker so repeated
+ * calls within a heartbeat read the prefix from cache instead of paying for it.
+ * Joining the block texts with the standard separator yields the plain prompt.
+ *
+ * @param {object} context - The loaded context object
+ * @param {string} [subagentDefinition] - The subagent's instructions
+ * @returns {{ text: string, cache: boolean }[]}
+ */
+function buildSystemPromptBlocks(context, subagentDefinition) {
+  const blocks = [];
 
-  const orderedKeys = ['soul', 'identity', 'agents', 'tools', 'user'];
+  const identity = _identitySections(context);
+  if (identity.length > 0) {
+    blocks.push({ text: identity.join(PROMPT_SEPARATOR), cache: true });
+  }
 
-  for (const key of orderedKeys) {
+  if (subagentDefinition) {
+    blocks.push({ text: subagentDefinition, cache: true });
+  }
+
+  blocks.push({ text: _volatileSections(context).join(PROMPT_SEPARATOR), cache: false });
+
+  return blocks;
+}
+
+function _identitySections(context) {
+  const sections = [];
+
+  for (const key of ['soul', 'identity', 'agents', 'tools', 'user']) {
     if (context[key] && context[key].content) {
       sections.push(context[key].content);
     }
@@ -100,6 +135,12 @@ function buildSystemPrompt(context) {
     sections.push('## App Goals & Priorities\n\n' + context.goals.content);
   }
 
+  return sections;
+}
+
+function _volatileSections(context) {
+  const sections = [];
+
   if (context.memory && context.memory.content) {
     const memoryContent = context.memory.content;
     const truncated =
@@ -111,7 +152,46 @@ function buildSystemPrompt(context) {
 
   sections.push(SECURITY_FOOTER);
 
-  return sections.join('\n\n---\n\n');
+  return sections;
+}
+
+/**
+ * Parse a comma-separated list of `key=value` pairs, e.g.
+ * `haiku=qwen2.5:7b, sonnet=llama3.1:70b`. Values may contain colons.
+ *
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+function _parseKeyValueList(text) {
+  const result = {};
+  for (const pair of text.split(',')) {
+    const eq = pair.indexOf('=');
+    if (eq === -1) continue;
+    const key = pair.slice(0, eq).trim();
+    const value = pair.slice(eq + 1).trim();
+    if (key && value) result[key] = value;
+  }
+  return result;
+}
+
+function _parseLimits(text) {
+  const limits = {};
+  const patterns = {
+    lines: /(\d+)\s*lines?\b/i,
+    created: /(\d+)\s*new\s+files?\b/i,
+    files: /(\d+)\s*files?\b/i,
+    deleted: /(\d+)\s*(?:deletions?|deleted\s+files?)\b/i,
+  };
+  for (const part of text.split(',')) {
+    for (const [key, pattern] of Object.entries(patterns)) {
+      const match = part.match(pattern);
+      if (match) {
+        limits[key] = parseInt(match[1], 10);
+        break;
+      }
+    }
+  }
+  return limits;
 }
 
 /**
@@ -119,7 +199,7 @@ function buildSystemPrompt(context) {
  * These are used by the orchestrator (not the AI model).
  *
  * @param {{ heartbeat: object|null }} context - The loaded context object
- * @returns {{ maxBudget: number, warningBudget: number, perfThreshold: number, errorEscalationCount: number, healthTimeout: number, weeklySchedule: { codebaseIntel: string, selfImprovement: string } }}
+ * @returns {{ maxBudget: number, warningBudget: number, perfThreshold: number, errorEscalationCount: number, healthTimeout: number, weeklySchedule: { codebaseIntel: string, selfImprovement: string }, provider?: string, providerBaseUrl?: string, modelMap?: Object<string, string>, subagentProviders?: Object<string, string>, mockScript?: string, escalationLadder?: string[], escalateAfter?: number, maxSpecSpend?: number, spendCaps?: { daily?: number, weekly?: number, monthly?: number }, maxConcurrentRequests?: number, tokensPerMinute?: number, gitCheckpoints?: 'commit'|'branch'|'off', isolation?: 'auto'|'always'|'off', isolationKeywords?: string[], testSelection?: 'impact'|'full', fullSuiteEvery?: number, autoFormat?: boolean, lintErrors?: 'fail'|'warn', backupRetention?: { maxAgeDays?: number, maxBytes?: number } }}
  */
 function parseHeartbeatConfig(context) {
   const defaults = {
@@ -138,7 +218,7 @@ function parseHeartbeatConfig(context) {
     return defaults;
   }
 
-  const content = context.heartbeat.content;
+  const content = context.heartbeat.content.replace(/<!--[\s\S]*?-->/g, '');
   const config = { ...defaults };
 
   const maxBudgetMatch = content.match(
@@ -197,14 +277,128 @@ function parseHeartbeatConfig(context) {
     config.discoveryInterval = parseInt(discoveryMatch[1], 10);
   }
 
+  const providerMatch = content.match(/LLM provider:\s*([\w-]+)/i);
+  if (providerMatch) {
+    config.provider = providerMatch[1].toLowerCase();
+  }
+
+  const baseUrlMatch = content.match(/LLM base URL:\s*(\S+)/i);
+  if (baseUrlMatch) {
+    config.providerBaseUrl = baseUrlMatch[1];
+  }
+
+  const modelMapMatch = content.match(/Model map:\s*(.+)/i);
+  if (modelMapMatch) {
+    config.modelMap = _parseKeyValueList(modelMapMatch[1]);
+  }
+
+  const subagentProvidersMatch = content.match(/Subagent providers:\s*(.+)/i);
+  if (subagentProvidersMatch) {
+    config.subagentProviders = _parseKeyValueList(subagentProvidersMatch[1]);
+  }
+
+  const mockScriptMatch = content.match(/Mock script:\s*(\S+)/i);
+  if (mockScriptMatch) {
+    config.mockScript = mockScriptMatch[1];
+  }
+
+  const ladderMatch = content.match(/Escalation ladder:\s*(.+)/i);
+  if (ladderMatch) {
+    const ladder = ladderMatch[1].split(/\s*(?:->|→|,)\s*/).map(m => m.trim().toLowerCase()).filter(Boolean);
+    if (ladder.length > 0) config.escalationLadder = ladder;
+  }
+
+  const escalateAfterMatch = content.match(/Escalate after:\s*(\d+)/i);
+  if (escalateAfterMatch) {
+    config.escalateAfter = parseInt(escalateAfterMatch[1], 10);
+  }
+
+  const specSpendMatch = content.match(/Max spend per spec:\s*\$?([\d.]+)/i);
+  if (specSpendMatch) {
+    config.maxSpecSpend = parseFloat(specSpendMatch[1]);
+  }
+
+  const concurrencyMatch = content.match(/Max concurrent API requests:\s*(\d+)/i);
+  if (concurrencyMatch) {
+    config.maxConcurrentRequests = parseInt(concurrencyMatch[1], 10);
+  }
+
+  const tpmMatch = content.match(/API tokens per minute:\s*([\d,]+)/i);
+  if (tpmMatch) {
+    config.tokensPerMinute = parseInt(tpmMatch[1].replace(/,/g, ''), 10);
+  }
+
+  const checkpointMatch = content.match(/Git checkpoints:\s*(commit|branch|off)\b/i);
+  if (checkpointMatch) {
+    config.gitCheckpoints = checkpointMatch[1].toLowerCase();
+  }
+
+  const isolationMatch = content.match(/Isolated execution:\s*(auto|always|off)\b/i);
+  if (isolationMatch) {
+    config.isolation = isolationMatch[1].toLowerCase();
+  }
+
+  const isolationPathsMatch = content.match(/Isolation paths:\s*(.+)/i);
+  if (isolationPathsMatch) {
+    const keywords = isolationPathsMatch[1].split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+    if (keywords.length > 0) config.isolationKeywords = keywords;
+  }
+
+  const selectionMatch = content.match(/Test selection:\s*(impact|full)\b/i);
+  if (selectionMatch) {
+    config.testSelection = selectionMatch[1].toLowerCase();
+  }
+
+  const fullSuiteMatch = content.match(/Full test suite:\s*every\s+(\d+)/i);
+  if (fullSuiteMatch) {
+    config.fullSuiteEvery = parseInt(fullSuiteMatch[1], 10);
+  }
+
+  const autoFormatMatch = content.match(/Auto-format:\s*(on|off)\b/i);
+  if (autoFormatMatch) {
+    config.autoFormat = autoFormatMatch[1].toLowerCase() === 'on';
+  }
+
+  const lintErrorsMatch = content.match(/Lint errors:\s*(fail|warn)\b/i);
+  if (lintErrorsMatch) {
+    config.lintErrors = lintErrorsMatch[1].toLowerCase();
+  }
+
+  const retentionMatch = content.match(/Backup retention:\s*([^\n]+)/i);
+  if (retentionMatch) {
+    const days = retentionMatch[1].match(/(\d+)\s*days?/i);
+    const size = retentionMatch[1].match(/([\d.]+)\s*(KB|MB|GB)/i);
+    config.backupRetention = {};
+    if (days) config.backupRetention.maxAgeDays = parseInt(days[1], 10);
+    if (size) config.backupRetention.maxBytes = Math.round(parseFloat(size[1]) * { kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[size[2].toLowerCase()]);
+  }
+
+  for (const [scope, label] of [['spec', 'Spec'], ['heartbeat', 'Heartbeat'], ['elon', 'ELON run']]) {
+    const limitsMatch = content.match(new RegExp(`${label} limits:\\s*([^\\n]+)`, 'i'));
+    if (limitsMatch) {
+      config.blastRadius = config.blastRadius || {};
+      config.blastRadius[scope] = _parseLimits(limitsMatch[1]);
+    }
+  }
+
+  for (const period of ['daily', 'weekly', 'monthly']) {
+    const capMatch = content.match(new RegExp(`${period} spend cap:\\s*\\$?([\\d.]+)`, 'i'));
+    if (capMatch) {
+      config.spendCaps = config.spendCaps || {};
+      config.spendCaps[period] = parseFloat(capMatch[1]);
+    }
+  }
+
   return config;
 }
 
 module.exports = {
   loadContext,
   buildSystemPrompt,
+  buildSystemPromptBlocks,
   parseHeartbeatConfig,
   IDENTITY_FILES,
   SECURITY_FOOTER,
   MEMORY_TAIL_LIMIT,
+  PROMPT_SEPARATOR,
 };
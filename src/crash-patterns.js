@@ -0,0 +1,236 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_FILE = 'crash-patterns.json';
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const DEFAULT_CONTEXT_LINES = 3;
+const MAX_MATCHES = 10;
+const MAX_STACK_FRAMES = 10;
+
+const DEFAULT_CRASH_RULES = [
+  {
+    id: 'syntax-error',
+    pattern: '\\bSyntaxError:',
+    category: 'syntax',
+    severity: 'critical',
+    fatal: true,
+    hint: 'The code does not parse. Check brackets, commas and quotes around the reported line.',
+  },
+  {
+    id: 'module-not-found',
+    pattern: "Cannot find (?:module|package) ['\"]?[^'\"\\s]+|ERR_MODULE_NOT_FOUND",
+    category: 'module-resolution',
+    severity: 'critical',
+    fatal: true,
+    hint: 'An import points to a file or package that does not exist. Fix the path or use a module that is already installed.',
+  },
+  {
+    id: 'port-in-use',
+    pattern: '\\bEADDRINUSE\\b',
+    category: 'port-conflict',
+    severity: 'error',
+    fatal: true,
+    hint: 'The port is taken by another process. This is environmental — do not change server code to work around it.',
+  },
+  {
+    id: 'uncaught-exception',
+    pattern: '\\bUncaught(?:Exception)?\\b|\\bunhandled(?:Rejection| promise rejection)\\b',
+    flags: 'i',
+    category: 'uncaught',
+    severity: 'critical',
+    fatal: true,
+    hint: 'An error escaped every handler. Guard the failing call or add error handling around it.',
+  },
+  {
+    id: 'type-error',
+    pattern: '\\bTypeError:',
+    category: 'type',
+    severity: 'error',
+    fatal: false,
+    hint: 'A value had the wrong type (often undefined or null). Check the property access or call in the top stack frame.',
+  },
+  {
+    id: 'reference-error',
+    pattern: '\\bReferenceError:',
+    category: 'reference',
+    severity: 'error',
+    fatal: false,
+    hint: 'A name is used that is not defined. Check for a missing import or a renamed variable.',
+  },
+  {
+    id: 'fatal',
+    pattern: '\\bFATAL\\b',
+    category: 'fatal',
+    severity: 'critical',
+    fatal: true,
+    hint: 'The runtime reported a fatal error. Read the excerpt for the underlying cause.',
+  },
+  {
+    id: 'segfault',
+    pattern: 'Segmentation fault',
+    category: 'native',
+    severity: 'critical',
+    fatal: true,
+    hint: 'A native module crashed. This usually comes from a dependency, not from application code.',
+  },
+];
+
+function _compileRule(raw, errors) {
+  if (!raw || typeof raw !== 'object' || !raw.id) {
+    errors.push('rule without an id');
+    return null;
+  }
+  if (typeof raw.pattern !== 'string' || raw.pattern === '') {
+    errors.push(`${raw.id}: missing pattern`);
+    return null;
+  }
+  try {
+    return {
+      id: String(raw.id),
+      regex: new RegExp(raw.pattern, String(raw.flags || '').replace(/[gy]/g, '')),
+      category: raw.category || 'other',
+      severity: SEVERITIES.includes(raw.severity) ? raw.severity : 'error',
+      fatal: raw.fatal !== false,
+      hint: raw.hint || null,
+    };
+  } catch (err) {
+    errors.push(`${raw.id}: ${err.message}`);
+    return null;
+  }
+}
+
+function loadCrashRules(dataDir) {
+  let config = {};
+  const errors = [];
+  if (dataDir) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(dataDir, RULES_FILE), 'utf-8'));
+      config = Array.isArray(parsed) ? { rules: parsed } : parsed;
+    } catch (err) {
+      if (err.code !== 'ENOENT') errors.push(`${RULES_FILE}: ${err.message}`);
+    }
+  }
+
+  const merged = new Map(config.extendDefaults === false ? [] : DEFAULT_CRASH_RULES.map(r => [r.id, r]));
+  for (const rule of Array.isArray(config.rules) ? config.rules : []) {
+    if (!rule || !rule.id) { errors.push('rule without an id'); continue; }
+    if (rule.enabled === false) { merged.delete(rule.id); continue; }
+    merged.set(rule.id, { ...(merged.get(rule.id) || {}), ...rule });
+  }
+
+  const rules = [...merged.values()].map(r => _compileRule(r, errors)).filter(Boolean);
+  return { rules, errors };
+}
+
+function parseStack(lines) {
+  const frames = [];
+  for (const line of lines) {
+    const match = line.match(/^\s*at (?:(.+?) \()?((?:file:\/\/)?[^():\s][^()]*?):(\d+):(\d+)\)?\s*$/);
+    if (!match) continue;
+    frames.push({
+      fn: match[1] || null,
+      file: match[2].replace(/^file:\/\//, ''),
+      line: parseInt(match[3], 10),
+      column: parseInt(match[4], 10),
+    });
+    if (frames.length >= MAX_STACK_FRAMES) break;
+  }
+  return frames;
+}
+
+function _projectFrame(frames, projectRoot) {
+  for (const frame of frames) {
+    if (frame.file.startsWith('node:') || frame.file.includes('node_modules')) continue;
+    const file = projectRoot && path.isAbsolute(frame.file) ? path.relative(projectRoot, frame.file) : frame.file;
+    if (!file.startsWith('..')) return { ...frame, file: file.replace(/\\/g, '/') };
+  }
+  return null;
+}
+
+function _throwSite(lines, index) {
+  for (let i = index - 1; i >= Math.max(0, index - 5); i--) {
+    const match = lines[i].match(/^((?:file:\/\/)?\/\S+|[A-Za-z]:\\\S+):(\d+)$/);
+    if (match) return { fn: null, file: match[1].replace(/^file:\/\//, ''), line: parseInt(match[2], 10), column: 0 };
+  }
+  return null;
+}
+
+function _stackRange(lines, index) {
+  let start = index + 1;
+  while (start < lines.length && /^(Require stack:|- )/.test(lines[start])) start++;
+  let end = start;
+  while (end < lines.length && /^\s+at /.test(lines[end])) end++;
+  return { start, end };
+}
+
+function detectCrashes(output, rules, options = {}) {
+  const lines = String(output || '').split('\n');
+  const contextLines = options.contextLines !== undefined ? options.contextLines : DEFAULT_CONTEXT_LINES;
+  const matches = [];
+  const claimed = new Set();
+
+  for (const rule of rules) {
+    const index = lines.findIndex((line, i) => !claimed.has(i) && rule.regex.test(line));
+    if (index === -1) continue;
+    claimed.add(index);
+
+    const range = _stackRange(lines, index);
+    const stack = parseStack(lines.slice(range.start, range.end));
+    const site = _throwSite(lines, index);
+
+    const match = {
+      rule: rule.id,
+      category: rule.category,
+      severity: rule.severity,
+      fatal: rule.fatal,
+      message: lines[index].trim().slice(0, 500),
+      line: index + 1,
+      excerpt: lines.slice(Math.max(0, index - contextLines), Math.min(lines.length, range.end + contextLines)).join('\n').slice(0, 2000),
+      stack,
+      location: _projectFrame(site ? [site, ...stack] : stack, options.projectRoot),
+    };
+    if (rule.hint) match.hint = rule.hint;
+    matches.push(match);
+    if (matches.length >= MAX_MATCHES) break;
+  }
+
+  return matches.sort((a, b) => (b.fatal - a.fatal) || (SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity)) || (a.line - b.line));
+}
+
+function crashGuidance(crashes) {
+  const seen = new Set();
+  const hints = [];
+  for (const crash of crashes || []) {
+    if (!crash.hint || seen.has(crash.category)) continue;
+    seen.add(crash.category);
+    hints.push(`${crash.category}: ${crash.hint}`);
+  }
+  return hints;
+}
+
+function toErrorLogEntry(crash, extra = {}) {
+  return {
+    message: crash.message,
+    stack: [crash.message, ...crash.stack.map(f => `    at ${f.fn ? `${f.fn} (${f.file}:${f.line}:${f.column})` : `${f.file}:${f.line}:${f.column}`}`)].join('\n'),
+    path: crash.location ? crash.location.file : null,
+    category: crash.category,
+    severity: crash.severity,
+    fatal: crash.fatal,
+    rule: crash.rule,
+    excerpt: crash.excerpt,
+    source: 'runtime-validation',
+    ...extra,
+  };
+}
+
+module.exports = {
+  loadCrashRules,
+  detectCrashes,
+  parseStack,
+  crashGuidance,
+  toErrorLogEntry,
+  DEFAULT_CRASH_RULES,
+  RULES_FILE,
+};
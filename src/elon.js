@@ -3,28 +3,23 @@
 const fs = require('fs');
 const path = require('path');
 const { delegateToSubagent } = require('./subagents/dispatcher');
-const { loadContext } = require('./context-loader');
+const { loadContext, parseHeartbeatConfig } = require('./context-loader');
 const { crawlSite, verifyCrawl, backendHealthCheck, isSessionValid } = require('./subagents/site-crawler');
 const { executeRalphLoop } = require('./ralph-loop');
+const { SpendLedger } = require('./spend-ledger');
 const { runAllHealthChecks, loadLastHealthCheck } = require('./integration-health');
 const { runScenarios, loadLastResults: loadLastScenarioResults, getDevModeStatus } = require('./scenario-runner');
 const { recordResult, getEscalatedIssues, getRegressionSummary } = require('./regression-tracker');
 const { buildDependencyIndex, getFilesForEndpoint, getFilesForIntegration, saveIndex, loadIndex } = require('./dependency-index');
+const { normalizeProbes } = require('./probes');
+const { createTracker } = require('./blast-radius');
+const { getPolicy } = require('./policy');
 
 const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
 const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
 const AUTH_STATUS_CODES = new Set([401, 403]);
 const AUTH_KEYWORDS = /\b(unauthorized|forbidden|auth|clerk|session|token)\b/i;
 const CONSTRAINT_SIMILARITY_THRESHOLD = 0.6;
-const SENSITIVE_CATEGORIES = {
-  auth: ['auth', 'login', 'logout', 'session', 'token', 'oauth', 'sso'],
-  security: ['security', 'vulnerability', 'exploit', 'injection', 'xss', 'csrf'],
-  permissions: ['permission', 'role', 'access', 'admin', 'privilege'],
-  database: ['migration', 'schema', 'drop', 'alter', 'table', 'column', 'index'],
-  payments: ['payment', 'billing', 'stripe', 'charge', 'subscription', 'invoice'],
-  deletions: ['delete', 'remove', 'purge', 'destroy', 'truncate'],
-  credentials: ['credential', 'secret', 'key', 'password', 'api.?key', 'env'],
-};
 
 const SETTINGS_FILE = 'elon-settings.json';
 
@@ -323,6 +318,9 @@ function _createSpecsFromPlan({ plan, constraintId, constraintDesc, source, data
       createdAt: new Date().toISOString(),
     };
 
+    const probes = normalizeProbes(step.probes, { source: 'elon' });
+    if (probes.length > 0) spec.probes = probes;
+
     if (isBuild) {
       spec.id = specId;
       spec.action = step.action || 'create';
@@ -430,6 +428,13 @@ async function runElonBuildCycle(config) {
     return { status: 'failed', mode: 'build', reason, budgetUsed: 0 };
   }
 
+  if (analysis.action === 'invalid-response') {
+    const reason = `invalid response: ${(analysis.errors || []).slice(0, 3).join('; ')}`;
+    log(`ELON BUILD: ${reason}`);
+    saveElonLog(dataDir, { lastMode: 'build', lastModeResult: 'invalid-response' });
+    return { status: 'failed', mode: 'build', reason, budgetUsed: 0 };
+  }
+
   if (analysis.constraint === 'PHASE_COMPLETE') {
     saveElonLog(dataDir, { lastMode: 'build', lastModeResult: 'cycle-complete' });
     return { status: 'phase-complete', mode: 'build', phase: appSpec.currentPhase, budgetUsed: 0 };
@@ -494,7 +499,7 @@ async function runElonBuildCycle(config) {
 
 function _loadElonSettings(dataDir) {
   const defaults = {};
-  for (const cat of Object.keys(SENSITIVE_CATEGORIES)) {
+  for (const cat of Object.keys(getPolicy(dataDir).sensitiveCategories)) {
     defaults[cat] = false;
   }
   const settingsPath = path.join(dataDir, SETTINGS_FILE);
@@ -512,10 +517,11 @@ function _saveElonSettings(dataDir, settings) {
 
 function getElonSettings(dataDir) {
   const settings = _loadElonSettings(dataDir);
-  const categories = Object.keys(SENSITIVE_CATEGORIES).map(cat => ({
+  const sensitiveCategories = getPolicy(dataDir).sensitiveCategories;
+  const categories = Object.keys(sensitiveCategories).map(cat => ({
     id: cat,
     label: cat.charAt(0).toUpperCase() + cat.slice(1),
-    keywords: SENSITIVE_CATEGORIES[cat],
+    keywords: sensitiveCategories[cat],
     autoApprove: !!settings[cat],
   }));
   return { categories, raw: settings };
@@ -523,8 +529,9 @@ function getElonSettings(dataDir) {
 
 function updateElonSettings(dataDir, updates) {
   const settings = _loadElonSettings(dataDir);
+  const sensitiveCategories = getPolicy(dataDir).sensitiveCategories;
   for (const [key, val] of Object.entries(updates)) {
-    if (key in SENSITIVE_CATEGORIES) {
+    if (key in sensitiveCategories) {
       settings[key] = !!val;
     }
   }
@@ -653,6 +660,7 @@ function _buildSubagentOptions(config) {
     identityDir: config.projectRoot,
     templatesDir: TEMPLATES_DIR,
     memory: config.memory,
+    dataDir: config.dataDir,
   };
 }
 
@@ -742,7 +750,7 @@ function _needsOwnerApproval(step, dataDir) {
   const desc = (step.description || '').toLowerCase();
   const settings = dataDir ? _loadElonSettings(dataDir) : {};
 
-  for (const [category, keywords] of Object.entries(SENSITIVE_CATEGORIES)) {
+  for (const [category, keywords] of Object.entries(getPolicy(dataDir).sensitiveCategories)) {
     if (settings[category]) continue;
     for (const kw of keywords) {
       if (kw.includes('?') || kw.includes('*')) {
@@ -910,6 +918,7 @@ async function runElonCycle(config) {
     enableCrawl = true,
     memory = null,
     onProgress = null,
+    source = 'elon',
   } = config;
 
   const context = loadContext(projectRoot);
@@ -920,13 +929,13 @@ async function runElonCycle(config) {
   if (mode === 'build') {
     return await runElonBuildCycle({
       apiKey, appUrl, projectRoot, dataDir, budgetMax, memory, onProgress, context,
-      budget: { spent: 0, max: budgetMax },
+      budget: { spent: 0, max: budgetMax, source },
     });
   }
 
   const elonLog = loadElonLog(dataDir);
   const previousReport = _loadElonReport(dataDir);
-  const budget = { spent: 0, max: budgetMax };
+  const budget = { spent: 0, max: budgetMax, source };
   const { log, progress } = _makeProgressLogger(memory, onProgress);
 
   let crawlResults = null;
@@ -1010,7 +1019,7 @@ async function runElonCycle(config) {
   let analysis;
   try {
     progress('thinking', 'Asking Claude to identify the #1 limiting factor...', null, 'thinking');
-    analysis = await delegateToSubagent('elon', task, _buildSubagentOptions({ context, budget, apiKey, projectRoot, memory }));
+    analysis = await delegateToSubagent('elon', task, _buildSubagentOptions({ context, budget, apiKey, projectRoot, memory, dataDir }));
   } catch (err) {
     progress('error', `Analysis failed: ${err.message}`, null, 'error');
     return { status: 'failed', reason: 'ELON analysis failed: ' + err.message };
@@ -1024,6 +1033,12 @@ async function runElonCycle(config) {
     return { status: 'failed', reason };
   }
 
+  if (analysis && analysis.action === 'invalid-response') {
+    const reason = `ELON analysis returned an invalid response: ${(analysis.errors || []).slice(0, 3).join('; ')}`;
+    progress('error', reason, null, 'error');
+    return { status: 'failed', reason, rawAnalysis: analysis };
+  }
+
   if (!analysis || !analysis.limitingFactor) {
     progress('error', 'Could not identify a limiting factor', null, 'error');
     return { status: 'failed', reason: 'ELON could not identify a limiting factor', rawAnalysis: analysis };
@@ -1089,7 +1104,7 @@ async function runElonCycle(config) {
   elonLog.history.push(constraint);
   saveElonLog(dataDir, elonLog);
 
-  _writeElonReport(projectRoot, dataDir, { elonLog, crawlResults, constraint, specsCreated, budgetUsed: budget.spent });
+  _writeElonReport(projectRoot, dataDir, { elonLog, crawlResults, constraint, specsCreated, budgetUsed: budget.spent, tokensUsed: budget.tokens });
 
   const autoApproved = specsCreated.filter(s => !s.needsApproval).length;
   const pendingApproval = specsCreated.filter(s => s.needsApproval).length;
@@ -1116,11 +1131,12 @@ async function evaluateConstraint(config) {
     enableCrawl = true,
     crawlMode = 'full',
     memory = null,
+    source = 'elon',
   } = config;
 
   const context = loadContext(projectRoot);
   const elonLog = loadElonLog(dataDir);
-  const budget = { spent: 0, max: 2.0 };
+  const budget = { spent: 0, max: 2.0, source };
   const { log } = _makeProgressLogger(memory);
   const canCrawlFrontend = enableCrawl && crawlMode !== 'backend-only';
 
@@ -1175,7 +1191,7 @@ async function evaluateConstraint(config) {
   let evalResult;
   try {
     log('ELON: Asking Claude to evaluate constraint resolution...');
-    evalResult = await delegateToSubagent('elon-evaluator', verifyTask, _buildSubagentOptions({ context, budget, apiKey, projectRoot, memory }));
+    evalResult = await delegateToSubagent('elon-evaluator', verifyTask, _buildSubagentOptions({ context, budget, apiKey, projectRoot, memory, dataDir }));
   } catch (err) {
     log(`ELON: Evaluation failed: ${err.message}`);
     evalResult = { status: 'evaluation-failed', reason: err.message };
@@ -1200,7 +1216,7 @@ async function evaluateConstraint(config) {
   }
 
   saveElonLog(dataDir, elonLog);
-  _writeElonReport(projectRoot, dataDir, { elonLog, crawlResults: reCrawl, constraint, specsCreated: [], budgetUsed: budget.spent, verification: { crawlVerification, evalResult, resolved } });
+  _writeElonReport(projectRoot, dataDir, { elonLog, crawlResults: reCrawl, constraint, specsCreated: [], budgetUsed: budget.spent, tokensUsed: budget.tokens, verification: { crawlVerification, evalResult, resolved } });
 
   return {
     status: resolved ? 'constraint-resolved' : 'constraint-active',
@@ -1242,9 +1258,14 @@ async function runElonLoop(config) {
     enableCrawl = true,
     memory = null,
     onProgress = null,
+    source = 'elon',
   } = config;
 
   const { log, progress } = _makeProgressLogger(memory, onProgress);
+  const heartbeatConfig = parseHeartbeatConfig(loadContext(projectRoot));
+  const { spendCaps } = heartbeatConfig;
+  const ledger = new SpendLedger(dataDir);
+  const blastRadius = config.blastRadius || _elonBlastRadius(heartbeatConfig);
 
   let totalBudget = 0;
   let constraintsSolved = 0;
@@ -1263,6 +1284,13 @@ async function runElonLoop(config) {
       progress('budget-exhausted', `ELON: Budget exhausted ($${totalBudget.toFixed(2)}/$${budgetMax.toFixed(2)})`, { budget: totalBudget }, 'warning');
       break;
     }
+    if (spendCaps) {
+      const capCheck = ledger.checkCaps(spendCaps);
+      if (!capCheck.allowed) {
+        progress('spend-capped', `ELON: ${capCheck.period} spend cap reached ($${capCheck.spent.toFixed(2)}/$${capCheck.cap.toFixed(2)})`, { budget: totalBudget }, 'warning');
+        break;
+      }
+    }
     if (consecutiveDismissals >= MAX_CONSECUTIVE_DISMISSALS) {
       progress('dismissal-limit', `ELON: ${MAX_CONSECUTIVE_DISMISSALS} consecutive constraints dismissed — Claude may be stuck in a loop. Stopping.`, { budget: totalBudget }, 'warning');
       break;
@@ -1276,7 +1304,7 @@ async function runElonLoop(config) {
       apiKey, appUrl, projectRoot, dataDir,
       budgetMax: Math.min(remainingBudget * 0.4, 3.0),
       enableCrawl, crawlMode: config.crawlMode,
-      memory, onProgress,
+      memory, onProgress, source,
     });
 
     totalBudget += cycleResult.budgetUsed || 0;
@@ -1321,7 +1349,7 @@ async function runElonLoop(config) {
 
       const specBudgetUsed = await _executeApprovedSpecs({
         dataDir, constraintId: cycleResult.constraint.id, projectRoot,
-        budgetMax: Math.min(remainingBudget * 0.4, 3.0), apiKey, memory, log,
+        budgetMax: Math.min(remainingBudget * 0.4, 3.0), apiKey, memory, log, source, blastRadius,
       });
       totalBudget += specBudgetUsed;
       progress('specs-done', `Specs executed. Budget: $${totalBudget.toFixed(2)}`, { budget: totalBudget }, 'info');
@@ -1331,7 +1359,7 @@ async function runElonLoop(config) {
 
     if (totalBudget < budgetMax) {
       progress('evaluating', 'Evaluating whether constraint is resolved...', { budget: totalBudget }, 'thinking');
-      const evalResult = await evaluateConstraint({ apiKey, appUrl, projectRoot, dataDir, enableCrawl, crawlMode: config.crawlMode, memory });
+      const evalResult = await evaluateConstraint({ apiKey, appUrl, projectRoot, dataDir, enableCrawl, crawlMode: config.crawlMode, memory, source });
       totalBudget += evalResult.budgetUsed || 0;
 
       if (evalResult.resolved) {
@@ -1352,9 +1380,13 @@ async function runElonLoop(config) {
   return { status: 'completed', constraintsAttempted, constraintsSolved, totalBudget };
 }
 
-async function _executeApprovedSpecs({ dataDir, constraintId, projectRoot, budgetMax, apiKey, memory, log }) {
+function _elonBlastRadius(heartbeatConfig) {
+  return createTracker('ELON run', heartbeatConfig.blastRadius && heartbeatConfig.blastRadius.elon);
+}
+
+async function _executeApprovedSpecs({ dataDir, constraintId, projectRoot, budgetMax, apiKey, memory, log, source, blastRadius }) {
   const context = loadContext(projectRoot);
-  const specBudget = { spent: 0, max: budgetMax };
+  const specBudget = { spent: 0, max: budgetMax, source: source || 'elon' };
   const approvedDir = path.join(dataDir, 'approved-queue');
 
   try {
@@ -1372,8 +1404,9 @@ async function _executeApprovedSpecs({ dataDir, constraintId, projectRoot, budge
         const loopResult = await executeRalphLoop(specPath, context, specBudget, {
           projectRoot, dataDir, memory, apiKey,
           identityDir: projectRoot, templatesDir: TEMPLATES_DIR,
+          blastRadius,
         });
-        log(`ELON: Spec ${specFile}: ${loopResult.status}`);
+        log(`ELON: Spec ${specFile}: ${loopResult.status}${loopResult.status === 'needs-approval' ? ` — ${loopResult.reason}` : ''}`);
       } catch (err) {
         log(`ELON: Spec ${specFile} failed: ${err.message}`);
       }
@@ -1386,7 +1419,7 @@ async function _executeApprovedSpecs({ dataDir, constraintId, projectRoot, budge
 }
 
 function _writeElonReport(projectRoot, dataDir, data) {
-  const { elonLog, crawlResults, constraint, specsCreated, budgetUsed, verification } = data;
+  const { elonLog, crawlResults, constraint, specsCreated, budgetUsed, tokensUsed, verification } = data;
 
   const reportData = _loadElonReport(dataDir) || {
     totalCycles: 0, constraintsSolved: 0, constraintsActive: 0,
@@ -1397,6 +1430,10 @@ function _writeElonReport(projectRoot, dataDir, data) {
 
   reportData.totalCycles++;
   reportData.totalBudgetSpent += budgetUsed || 0;
+  if (!reportData.totalTokens) reportData.totalTokens = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+  if (tokensUsed) {
+    for (const key of Object.keys(reportData.totalTokens)) reportData.totalTokens[key] += tokensUsed[key] || 0;
+  }
   reportData.activeConstraint = constraint && constraint.status === 'active' ? constraint : null;
 
   if (crawlResults) {
@@ -1436,6 +1473,7 @@ function _writeElonReport(projectRoot, dataDir, data) {
     score: constraint ? constraint.score : 0,
     specsCreated: specsCreated ? specsCreated.length : 0,
     budgetUsed: budgetUsed || 0,
+    tokensUsed: tokensUsed || null,
     result: verification ? (verification.resolved ? 'solved' : 'active') : 'planned',
     crawlPages: crawlResults ? crawlResults.pagesVisited : 0,
     crawlIssues: crawlResults ? (crawlResults.allIssues || crawlResults.errors || []).length : 0,
@@ -1455,6 +1493,11 @@ function _writeElonReport(projectRoot, dataDir, data) {
   }
 }
 
+function _formatTokens(tokens) {
+  if (!tokens) return 'no token data';
+  return `${tokens.inputTokens || 0} in / ${tokens.outputTokens || 0} out / ${tokens.cacheReadTokens || 0} cache read / ${tokens.cacheWriteTokens || 0} cache write`;
+}
+
 function _generateReportMarkdown(data) {
   const lines = [
     '# ELON Strategic Report',
@@ -1466,6 +1509,7 @@ function _generateReportMarkdown(data) {
     `- Constraints solved: ${data.constraintsSolved}`,
     `- Constraints active: ${data.constraintsActive}`,
     `- Total budget spent: $${(data.totalBudgetSpent || 0).toFixed(2)}`,
+    `- Total tokens: ${_formatTokens(data.totalTokens)}`,
     `- Pages crawled: ${data.pagesCrawled}`,
     `- Issues found: ${data.issuesFound}`,
     `- Issues resolved: ${data.issuesResolved}`,
@@ -1496,7 +1540,7 @@ function _generateReportMarkdown(data) {
         `- **Crawl:** ${cycle.crawlPages} pages, ${cycle.crawlIssues} issues`,
         `- **Specs created:** ${cycle.specsCreated}`,
         `- **Result:** ${cycle.result}`,
-        `- **Budget:** $${(cycle.budgetUsed || 0).toFixed(3)}`,
+        `- **Budget:** $${(cycle.budgetUsed || 0).toFixed(3)} (${_formatTokens(cycle.tokensUsed)})`,
         '',
       );
     }
@@ -1592,6 +1636,11 @@ function approveSpec(dataDir, specId) {
   const sourcePath = path.join(pendingDir, filename);
   if (!fs.existsSync(sourcePath)) return { success: false, error: 'Spec not found' };
   fs.mkdirSync(approvedDir, { recursive: true });
+  const spec = _readJson(sourcePath, null);
+  if (spec && spec.blastRadius) {
+    spec.blastRadius.approvedAt = new Date().toISOString();
+    _writeJson(sourcePath, spec);
+  }
   fs.renameSync(sourcePath, path.join(approvedDir, filename));
   return { success: true, action: 'approved', id: specId };
 }
@@ -1625,12 +1674,14 @@ async function executeApprovedSpecs(config) {
     budgetMax = 5.0,
     memory = null,
     onProgress = null,
+    source = 'elon',
   } = config;
 
   const context = loadContext(projectRoot);
-  const specBudget = { spent: 0, max: budgetMax };
+  const specBudget = { spent: 0, max: budgetMax, source };
   const approvedDir = path.join(dataDir, 'approved-queue');
   const { log, progress } = _makeProgressLogger(memory, onProgress);
+  const blastRadius = config.blastRadius || _elonBlastRadius(parseHeartbeatConfig(context));
 
   if (!fs.existsSync(approvedDir)) {
     return { status: 'no-specs', executed: 0, succeeded: 0, failed: 0, budgetUsed: 0 };
@@ -1656,6 +1707,7 @@ async function executeApprovedSpecs(config) {
   let executed = 0;
   let succeeded = 0;
   let failed = 0;
+  let held = 0;
 
   for (const specFile of specFiles) {
     if (specBudget.spent >= specBudget.max) {
@@ -1673,11 +1725,15 @@ async function executeApprovedSpecs(config) {
       const loopResult = await executeRalphLoop(specPath, context, specBudget, {
         projectRoot, dataDir, memory, apiKey,
         identityDir: projectRoot, templatesDir: TEMPLATES_DIR,
+        blastRadius,
       });
       executed++;
       if (loopResult.status === 'completed' || loopResult.status === 'success') {
         succeeded++;
         progress('spec-done', `Spec completed: ${specFile}`, { file: specFile, status: loopResult.status }, 'success');
+      } else if (loopResult.status === 'needs-approval') {
+        held++;
+        progress('spec-held', `Spec needs owner approval: ${specFile} — ${loopResult.reason}`, { file: specFile, status: loopResult.status }, 'warning');
       } else {
         failed++;
         progress('spec-failed', `Spec finished with status ${loopResult.status}: ${specFile}`, { file: specFile, status: loopResult.status }, 'warning');
@@ -1689,9 +1745,10 @@ async function executeApprovedSpecs(config) {
     }
   }
 
-  progress('complete', `Execution complete: ${succeeded} succeeded, ${failed} failed out of ${executed} executed. Budget: $${specBudget.spent.toFixed(2)}`, { executed, succeeded, failed, budgetUsed: specBudget.spent }, 'success');
+  const heldNote = held > 0 ? `, ${held} held for approval` : '';
+  progress('complete', `Execution complete: ${succeeded} succeeded, ${failed} failed${heldNote} out of ${executed} executed. Budget: $${specBudget.spent.toFixed(2)}`, { executed, succeeded, failed, held, budgetUsed: specBudget.spent }, 'success');
 
-  return { status: 'completed', executed, succeeded, failed, budgetUsed: specBudget.spent };
+  return { status: 'completed', executed, succeeded, failed, held, budgetUsed: specBudget.spent };
 }
 
 async function runElonFixAll(config) {
@@ -1706,9 +1763,11 @@ async function runElonFixAll(config) {
     onProgress = null,
     maxRounds = 30,
     constraintsPerRound = 3,
+    source = 'elon',
   } = config;
 
   const { log, progress } = _makeProgressLogger(memory, onProgress);
+  const blastRadius = _elonBlastRadius(parseHeartbeatConfig(loadContext(projectRoot)));
 
   let totalSpent = 0;
   let totalSolved = 0;
@@ -1754,6 +1813,8 @@ async function runElonFixAll(config) {
         crawlMode,
         memory,
         onProgress,
+        source,
+        blastRadius,
       });
 
       totalSpent += result.totalBudget || 0;
@@ -0,0 +1,32 @@
+'use strict';
+
+const lockfile = require('proper-lockfile');
+
+const DEFAULT_ATTEMPTS = 40;
+const RETRY_MS = 25;
+const STALE_MS = 10000;
+
+function _sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// proper-lockfile's sync API refuses the `retries` option, so retry here
+function acquireSync(target, options = {}) {
+  const attempts = options.attempts || DEFAULT_ATTEMPTS;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      return lockfile.lockSync(target, { realpath: false, stale: STALE_MS, onCompromised: () => {} });
+    } catch (err) {
+      if (err.code !== 'ELOCKED') return null;
+      _sleep(RETRY_MS);
+    }
+  }
+  return null;
+}
+
+function releaseSync(release) {
+  if (!release) return;
+  try { release(); } catch {}
+}
+
+module.exports = { acquireSync, releaseSync };
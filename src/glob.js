@@ -0,0 +1,152 @@
+'use strict';
+
+const MAX_BRACE_EXPANSIONS = 64;
+const compiled = new Map();
+
+function normalizePath(filePath) {
+  return String(filePath || '').replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+}
+
+function _splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && i + 1 < text.length) { current += ch + text[++i]; continue; }
+    if (ch === '{') depth++;
+    else if (ch === '}') depth = Math.max(0, depth - 1);
+    if (ch === separator && depth === 0) { parts.push(current); current = ''; continue; }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function expandBraces(pattern) {
+  let open = -1;
+  let depth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') { i++; continue; }
+    if (ch === '{') {
+      if (depth === 0) open = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth !== 0) continue;
+      const alternatives = _splitTopLevel(pattern.slice(open + 1, i), ',');
+      if (alternatives.length < 2) { open = -1; continue; }
+      const head = pattern.slice(0, open);
+      const tail = pattern.slice(i + 1);
+      const expanded = [];
+      for (const alt of alternatives) {
+        for (const rest of expandBraces(head + alt + tail)) {
+          expanded.push(rest);
+          if (expanded.length >= MAX_BRACE_EXPANSIONS) return expanded;
+        }
+      }
+      return expanded;
+    }
+  }
+  return [pattern];
+}
+
+function _segmentSource(segment) {
+  let out = '';
+  for (let i = 0; i < segment.length; i++) {
+    const ch = segment[i];
+    if (ch === '\\' && i + 1 < segment.length) {
+      out += segment[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (ch === '*') {
+      while (segment[i + 1] === '*') i++;
+      out += '[^/]*';
+    } else if (ch === '?') {
+      out += '[^/]';
+    } else if (ch === '[') {
+      const close = segment.indexOf(']', i + 2);
+      if (close === -1) { out += '\\['; continue; }
+      let body = segment.slice(i + 1, close);
+      if (body.startsWith('!')) body = '^' + body.slice(1);
+      out += `[${body.replace(/\\/g, '\\\\').replace(/\//g, '')}]`;
+      i = close;
+    } else {
+      out += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return out;
+}
+
+function _patternSource(pattern) {
+  let body = pattern.replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+  if (body.endsWith('/')) body += '**';
+  const segments = body.split('/');
+  let out = '';
+  let needSeparator = false;
+
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1;
+    if (segment === '**') {
+      if (last) out += i === 0 ? '.*' : '(?:/.*)?';
+      else out += i === 0 ? '(?:.*/)?' : '/(?:.*/)?';
+      needSeparator = false;
+      return;
+    }
+    out += (needSeparator ? '/' : '') + _segmentSource(segment);
+    needSeparator = true;
+  });
+  return out;
+}
+
+function compileGlob(pattern) {
+  if (compiled.has(pattern)) return compiled.get(pattern);
+  const sources = expandBraces(pattern).map(_patternSource);
+  const regex = new RegExp(`^(?:${sources.join('|')})$`);
+  compiled.set(pattern, regex);
+  return regex;
+}
+
+function matchGlob(filePath, pattern) {
+  if (typeof pattern !== 'string' || pattern === '') return false;
+  if (pattern.startsWith('!')) return !matchGlob(filePath, pattern.slice(1));
+  return compileGlob(pattern).test(normalizePath(filePath));
+}
+
+function matchGlobList(filePath, patterns) {
+  const normalized = normalizePath(filePath);
+  let pattern = null;
+  let excludedBy = null;
+  for (const p of patterns || []) {
+    if (typeof p !== 'string' || p === '') continue;
+    if (p.startsWith('!')) {
+      if (!excludedBy && compileGlob(p.slice(1)).test(normalized)) excludedBy = p;
+    } else if (!pattern && compileGlob(p).test(normalized)) {
+      pattern = p;
+    }
+  }
+  return { matched: !!pattern && !excludedBy, pattern, excludedBy };
+}
+
+function mayMatchInside(dir, pattern) {
+  if (typeof pattern !== 'string' || pattern.startsWith('!')) return false;
+  const dirSegments = normalizePath(dir).split('/').filter(Boolean);
+  return expandBraces(pattern).some(expanded => {
+    const segments = expanded.replace(/^(\.\/)+/, '').replace(/^\/+/, '').split('/');
+    for (let i = 0; i < dirSegments.length; i++) {
+      if (segments[i] === undefined) return false;
+      if (segments[i] === '**') return true;
+      if (!new RegExp(`^${_segmentSource(segments[i])}$`).test(dirSegments[i])) return false;
+    }
+    return segments.length > dirSegments.length;
+  });
+}
+
+module.exports = {
+  compileGlob,
+  matchGlob,
+  matchGlobList,
+  mayMatchInside,
+  expandBraces,
+  normalizePath,
+  _splitTopLevel,
+};
@@ -3,6 +3,7 @@
 const path = require('path');
 const { loadContext, buildSystemPrompt, parseHeartbeatConfig } = require('./context-loader');
 const { IdentityProtection } = require('./security');
+const { usePolicy } = require('./policy');
 const { MemoryStore } = require('./memory');
 const { sneeblyMiddleware } = require('./middleware');
 const { createAdminDashboard } = require('./middleware/admin-dashboard');
@@ -32,6 +33,11 @@ function initSneebly(app, config = {}) {
   const identity = new IdentityProtection(resolvedIdentityDir, resolvedDataDir);
   identity.initialize();
 
+  const policyConfig = usePolicy(resolvedDataDir);
+  if (policyConfig.errors.length > 0) {
+    console.warn(`[Sneebly] Warning: invalid policy.json, using the default policy — ${policyConfig.errors.join('; ')}`);
+  }
+
   const hasSoul = context.soul !== null;
   const hasAgents = context.agents !== null;
 
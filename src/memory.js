@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const lockfile = require('proper-lockfile');
 const { InputSanitizer } = require('./security');
+const { recoverTransactions } = require('./transactions');
 
 class MemoryStore {
   constructor(dataDir) {
@@ -14,6 +15,7 @@ class MemoryStore {
     this.errorLogFile = path.join(dataDir, 'error-log.jsonl');
     this.metricsFile = path.join(dataDir, 'metrics.json');
     this.initialized = false;
+    this.recoveredTransactions = [];
   }
 
   initialize() {
@@ -39,6 +41,7 @@ class MemoryStore {
     }
 
     this.initialized = true;
+    this.recoveredTransactions = recoverTransactions(this.dataDir, message => this.logDaily(message));
   }
 
   logDaily(message) {
@@ -129,6 +132,15 @@ class MemoryStore {
       method: error.method || null,
       signature: error.signature || _computeSignature(sanitizedMessage),
     };
+    if (error.category) {
+      entry.category = error.category;
+      entry.severity = error.severity || 'error';
+      entry.fatal = error.fatal !== false;
+      entry.rule = error.rule || null;
+      entry.excerpt = InputSanitizer.sanitizeStack(error.excerpt || '');
+      entry.source = error.source || null;
+      entry.specId = error.specId || null;
+    }
     fs.appendFileSync(this.errorLogFile, JSON.stringify(entry) + '\n');
   }
 
@@ -166,8 +178,9 @@ class MemoryStore {
         if (existing) {
           existing.occurrences = (existing.occurrences || 1) + 1;
           existing.lastSeen = entry.timestamp;
+          if (entry.category) Object.assign(existing, { category: entry.category, severity: entry.severity, fatal: entry.fatal });
         } else {
-          data.errors.push({
+          const known = {
             signature: sig,
             message: entry.message,
             file: entry.path || null,
@@ -175,7 +188,9 @@ class MemoryStore {
             firstSeen: entry.timestamp,
             lastSeen: entry.timestamp,
             status: 'new',
-          });
+          };
+          if (entry.category) Object.assign(known, { category: entry.category, severity: entry.severity, fatal: entry.fatal, excerpt: entry.excerpt });
+          data.errors.push(known);
         }
       }
 
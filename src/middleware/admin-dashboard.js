@@ -3,6 +3,10 @@
 const fs = require('fs');
 const path = require('path');
 const { OwnerVerification, IdentityProtection, AuthRateLimiter } = require('../security');
+const { loadContext, parseHeartbeatConfig } = require('../context-loader');
+const { SpendLedger } = require('../spend-ledger');
+const { getScheduler } = require('../scheduler');
+const { redactSecrets, readSecretBlocks } = require('../secret-scanner');
 
 function createAdminDashboard(options = {}) {
   const {
@@ -27,6 +31,7 @@ function createAdminDashboard(options = {}) {
   const MAX_LIVE_ENTRIES = 100;
 
   function pushActivity(type, message) {
+    message = redactSecrets(message);
     if (typeof message === 'string' && (message.includes('429') || message.toLowerCase().includes('rate limit'))) {
       message = 'Claude API Rate Limit (429) - retrying shortly...';
       type = 'warning';
@@ -84,6 +89,8 @@ function createAdminDashboard(options = {}) {
       const audit = memoryStore.auditMemory();
       securityAlerts = audit.findings ? audit.findings.length : 0;
     }
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    securityAlerts += readSecretBlocks(dataDir, 50).filter(b => Date.parse(b.timestamp) >= dayAgo).length;
 
     const status = {
       agentName: _getAgentName(projectRoot),
@@ -137,6 +144,52 @@ function createAdminDashboard(options = {}) {
     res.json({ current: stats, history: snapshots });
   }
 
+  function getSpend(req, res) {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    let caps = {};
+    try {
+      caps = parseHeartbeatConfig(loadContext(projectRoot)).spendCaps || {};
+    } catch {}
+
+    res.json(new SpendLedger(dataDir).summary(caps, { limit }));
+  }
+
+  function _backupEngine() {
+    const { CodeEngine } = require('../code-engine');
+    return new CodeEngine({ projectRoot, dataDir, backupsDir: path.join(dataDir, 'backups') });
+  }
+
+  function getBackups(req, res) {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const entries = _backupEngine().backups.list({ filePath: req.query.file, specId: req.query.spec, limit });
+    res.json({ backups: entries });
+  }
+
+  function getBackup(req, res) {
+    const engine = _backupEngine();
+    const entry = engine.backups.find(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Backup not found' });
+    if (entry.ambiguous) return res.status(409).json({ error: 'Backup id is ambiguous', matches: entry.matches });
+
+    try {
+      const { blobPath, ...meta } = entry;
+      res.json({ ...meta, content: engine.backups.read(entry).toString('utf-8') });
+    } catch (err) {
+      res.status(500).json({ error: 'Backup content missing' });
+    }
+  }
+
+  function restoreBackup(req, res) {
+    const id = req.params.id;
+    const to = req.body && req.body.to ? String(req.body.to) : undefined;
+    const result = _backupEngine().restoreBackup(id, { to });
+    if (!result.restored) return res.status(400).json({ error: result.reason });
+
+    owner.logOwnerAction('backup_restore', { id, filePath: result.filePath, previous: result.previous }, dataDir);
+    pushActivity('info', `Restored ${result.filePath} from backup ${result.id}`);
+    res.json({ success: true, ...result });
+  }
+
   function getQueue(req, res) {
     const pendingDir = path.join(dataDir, 'pending-queue');
     const approvedDir = path.join(dataDir, 'approved-queue');
@@ -239,12 +292,20 @@ function createAdminDashboard(options = {}) {
         }));
     }
 
+    const secretBlocks = readSecretBlocks(dataDir, 10).map(b => ({
+      timestamp: b.timestamp,
+      source: b.source,
+      specId: b.specId || null,
+      findings: (b.findings || []).map(f => ({ filePath: f.filePath || null, line: f.line, label: f.label, preview: f.preview })),
+    }));
+
     res.json({
       checksums,
       integrityValid: changes.length === 0,
       changes,
       alerts,
       blockedActions,
+      secretBlocks,
     });
   }
 
@@ -282,6 +343,7 @@ function createAdminDashboard(options = {}) {
     pushActivity('heartbeat', 'Discovery cycle starting...');
 
     runHeartbeatCycle({
+      source: 'dashboard',
       apiKey: process.env.SNEEBLY_ANTHROPIC_KEY || process.env.ANTHROPIC_API_KEY,
       appUrl: `http://localhost:${process.env.PORT || 5000}`,
       forceDiscovery: true,
@@ -396,6 +458,7 @@ function createAdminDashboard(options = {}) {
 
         try {
           const result = await runElonLoop({
+            source: 'dashboard',
             apiKey,
             appUrl: `http://localhost:${process.env.PORT || 5000}`,
             maxConstraints: constraintsPerRound,
@@ -813,6 +876,7 @@ function createAdminDashboard(options = {}) {
     res.json({ status: 'started', message: 'ELON strategic loop started...' });
 
     runElonLoop({
+      source: 'dashboard',
       apiKey,
       appUrl: `http://localhost:${process.env.PORT || 5000}`,
       maxConstraints,
@@ -911,6 +975,7 @@ function createAdminDashboard(options = {}) {
       crawl: crawlRunning,
       elon: elonRunning,
       frontendAuthLost: frontendAuthLost,
+      apiQueue: getScheduler().stats(),
     });
   }
 
@@ -954,6 +1019,10 @@ function createAdminDashboard(options = {}) {
     app.get(`${basePath}/api/feed`, authMiddleware, getFeed);
     app.get(`${basePath}/api/errors`, authMiddleware, getErrors);
     app.get(`${basePath}/api/metrics`, authMiddleware, getMetrics);
+    app.get(`${basePath}/api/spend`, authMiddleware, getSpend);
+    app.get(`${basePath}/api/backups`, authMiddleware, getBackups);
+    app.get(`${basePath}/api/backups/:id`, authMiddleware, getBackup);
+    app.post(`${basePath}/api/backups/:id/restore`, authMiddleware, restoreBackup);
     app.get(`${basePath}/api/queue`, authMiddleware, getQueue);
     app.post(`${basePath}/api/queue/:id/approve`, authMiddleware, approveQueueItem);
     app.post(`${basePath}/api/queue/:id/reject`, authMiddleware, rejectQueueItem);
@@ -1077,6 +1146,7 @@ function createAdminDashboard(options = {}) {
       pushActivity('info', `Executing ${specCount} approved specs, $${budgetMax.toFixed(2)} budget`);
 
       executeApprovedSpecs({
+        source: 'dashboard',
         apiKey, projectRoot, dataDir, budgetMax, memory: memoryStore,
         onProgress: _specProgressHandler('exec-'),
       })
@@ -1145,6 +1215,7 @@ function createAdminDashboard(options = {}) {
       const budgetMax = parseFloat(process.env.ELON_BUDGET) || 5.0;
 
       executeApprovedSpecs({
+        source: 'dashboard',
         apiKey, projectRoot, dataDir, budgetMax, memory: memoryStore,
         onProgress: _specProgressHandler('exec-'),
       })
@@ -1227,6 +1298,7 @@ function createAdminDashboard(options = {}) {
 
       const { runElonFixAll } = require('../elon.js');
       runElonFixAll({
+        source: 'dashboard',
         apiKey,
         appUrl: `http://localhost:${process.env.PORT || 5000}`,
         projectRoot,
@@ -7,6 +7,7 @@ const https = require('https');
 const { loadContext, buildSystemPrompt, parseHeartbeatConfig } = require('./context-loader');
 const { IdentityProtection, InputSanitizer, OutputValidator, CommandValidator } = require('./security');
 const { MemoryStore } = require('./memory');
+const { SpendLedger } = require('./spend-ledger');
 const { delegateToSubagent } = require('./subagents/dispatcher');
 const { resolveError } = require('./subagents/error-resolver');
 const { optimizePerformance } = require('./subagents/perf-optimizer');
@@ -14,7 +15,10 @@ const { analyzeCodebase } = require('./subagents/codebase-intel');
 const { executeSpec } = require('./subagents/spec-executor');
 const { selfImprove } = require('./subagents/self-improver');
 const { crawlSite } = require('./subagents/site-crawler');
+const { discoverCustomSubagents, getDueSubagents, getEventSubagents, recordHeartbeat, runCustomSubagent } = require('./subagents/custom-subagents');
 const { executeRalphLoop } = require('./ralph-loop');
+const { createTracker } = require('./blast-radius');
+const { usePolicy } = require('./policy');
 
 const SUBAGENT_ORDER = [
   'error-resolver',
@@ -34,12 +38,14 @@ class Orchestrator {
     this.dryRun = config.dryRun || false;
     this.forceDiscovery = config.forceDiscovery || false;
     this.enableCrawl = config.enableCrawl || false;
+    this.source = config.source || 'heartbeat';
 
     this.templatesDir = config.templatesDir || path.join(__dirname, '..', 'templates');
     this.memory = new MemoryStore(this.dataDir);
     this.identity = new IdentityProtection(this.identityDir, this.dataDir);
     this.context = null;
     this.heartbeatConfig = null;
+    this.customSubagents = [];
     this.dashboardStatus = null;
   }
 
@@ -60,13 +66,18 @@ class Orchestrator {
   initialize() {
     this.memory.initialize();
     this.identity.initialize();
+    const policyConfig = usePolicy(this.dataDir);
+    if (policyConfig.errors.length > 0) {
+      this.memory.logDaily(`Invalid policy.json, using the default policy: ${policyConfig.errors.join('; ')}`);
+    }
     this.context = loadContext(this.identityDir);
     this.heartbeatConfig = parseHeartbeatConfig(this.context);
+    this.customSubagents = discoverCustomSubagents(this.identityDir, this.templatesDir, this.memory);
   }
 
   async runHeartbeatCycle() {
     const startTime = Date.now();
-    const budget = { spent: 0, max: 0 };
+    const budget = { spent: 0, max: 0, source: this.source };
 
     const result = {
       timestamp: new Date().toISOString(),
@@ -99,6 +110,17 @@ class Orchestrator {
       const systemPrompt = buildSystemPrompt(this.context);
       const config = this.heartbeatConfig;
       budget.max = config.maxBudget || 2.00;
+
+      if (config.spendCaps) {
+        const capCheck = new SpendLedger(this.dataDir).checkCaps(config.spendCaps);
+        if (!capCheck.allowed) {
+          result.status = 'spend-capped';
+          result.spendCap = { period: capCheck.period, spent: capCheck.spent, cap: capCheck.cap };
+          this.memory.logDaily(`Heartbeat skipped: ${capCheck.period} spend cap reached ($${capCheck.spent.toFixed(2)} of $${capCheck.cap.toFixed(2)})`);
+          return result;
+        }
+      }
+
       const recentMemory = this.memory.getRecentMemory(7, this.projectRoot);
 
       const opts = this._subagentOptions(budget);
@@ -115,6 +137,7 @@ class Orchestrator {
             this._collectValidActions(diagResult.actions, result);
           }
         }
+        await this._runCustomSubagents(getEventSubagents(this.customSubagents, 'app-down'), opts, result, { name: 'app-down', details: { appUrl: this.appUrl } });
         this.memory.logDaily(`Health check failed for ${this.appUrl}. Focused on diagnosis.`);
         result.status = 'app_down';
         return result;
@@ -159,6 +182,7 @@ class Orchestrator {
               }
             }
             this.memory.saveKnownErrors(knownErrors);
+            await this._runCustomSubagents(getEventSubagents(this.customSubagents, 'crawl-errors'), opts, result, { name: 'crawl-errors', details: { errorsFound: crawlResult.errors.length } });
           }
         } catch (crawlErr) {
           result.steps.push({ step: 'site_crawl', status: 'error', error: crawlErr.message });
@@ -178,6 +202,9 @@ class Orchestrator {
             this._collectValidActions(errResult.actions, result);
           }
         }
+        if (newErrors.length > 0) {
+          await this._runCustomSubagents(getEventSubagents(this.customSubagents, 'new-errors'), opts, result, { name: 'new-errors', details: { signatures: newErrors.map(e => e.signature) } });
+        }
       }
 
       if (budget.spent < budget.max) {
@@ -199,8 +226,15 @@ class Orchestrator {
         }
       }
 
+      if (budget.spent < budget.max && this.customSubagents.length > 0) {
+        const due = getDueSubagents(this.customSubagents, this.dataDir);
+        const ran = await this._runCustomSubagents(due, opts, result, null);
+        recordHeartbeat(this.customSubagents, ran, this.dataDir);
+      }
+
       if (budget.spent < budget.max) {
-        const queueResult = await this._processApprovedQueue(budget);
+        const blastRadius = createTracker('heartbeat', config.blastRadius && config.blastRadius.heartbeat);
+        const queueResult = await this._processApprovedQueue(budget, blastRadius);
         result.steps.push({ step: 'approved_queue', status: 'completed', result: queueResult });
       }
 
@@ -227,6 +261,7 @@ class Orchestrator {
       this.memory.logDaily(`Orchestrator error: ${err.message}`);
     } finally {
       result.budgetUsed = budget.spent;
+      result.tokensUsed = budget.tokens || null;
       const duration = Date.now() - startTime;
       const summary = InputSanitizer.sanitizeText(
         `Heartbeat complete. Budget: $${budget.spent.toFixed(3)}/${budget.max}. Duration: ${duration}ms.`
@@ -245,12 +280,25 @@ class Orchestrator {
         actionsCount: result.actions.length,
         errorsCount: result.errors.length,
         budgetUsed: budget.spent,
+        tokensUsed: budget.tokens || null,
       });
     }
 
     return result;
   }
 
+  async _runCustomSubagents(agents, opts, result, event) {
+    const ran = [];
+    for (const agent of agents) {
+      if (opts.budget.spent >= opts.budget.max) break;
+      await this._rateLimitPause();
+      const customResult = await runCustomSubagent(agent, { ...opts, event });
+      result.steps.push({ step: `custom_subagent:${agent.name}`, status: 'completed', result: customResult });
+      ran.push(agent.name);
+    }
+    return ran;
+  }
+
   _collectValidActions(actions, result) {
     for (const action of actions) {
       const validation = OutputValidator.validateAction(action);
@@ -289,12 +337,12 @@ class Orchestrator {
     });
   }
 
-  async _processApprovedQueue(budget) {
+  async _processApprovedQueue(budget, blastRadius = null) {
     const approvedDir = path.join(this.dataDir, 'approved-queue');
     const fs = require('fs');
 
     if (!fs.existsSync(approvedDir)) {
-      return { processed: 0, skipped: 0 };
+      return { processed: 0, skipped: 0, held: 0 };
     }
 
     const files = fs.readdirSync(approvedDir)
@@ -303,6 +351,7 @@ class Orchestrator {
 
     let processed = 0;
     let skipped = 0;
+    let held = 0;
 
     for (const file of files) {
       if (budget.spent >= budget.max) {
@@ -321,10 +370,13 @@ class Orchestrator {
           identityDir: this.identityDir,
           templatesDir: this.templatesDir,
           dryRun: this.dryRun,
+          blastRadius,
         });
 
         if (loopResult.status === 'completed' || loopResult.status === 'dry-run') {
           processed++;
+        } else if (loopResult.status === 'needs-approval') {
+          held++;
         } else {
           skipped++;
         }
@@ -333,7 +385,7 @@ class Orchestrator {
       }
     }
 
-    return { processed, skipped };
+    return { processed, skipped, held };
   }
 
   async _runSubagent(name, budget, inputData) {
@@ -374,7 +426,7 @@ class Orchestrator {
       return result;
     }
 
-    const opts = budget ? this._subagentOptions(budget) : this._subagentOptions({ spent: 0, max: 2 });
+    const opts = budget ? this._subagentOptions(budget) : this._subagentOptions({ spent: 0, max: 2, source: this.source });
 
     for (let i = 0; i < result.maxIterations; i++) {
       result.iterations++;
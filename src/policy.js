@@ -0,0 +1,289 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const POLICY_FILE = 'policy.json';
+const POLICY_VERSION = 1;
+
+const IDENTITY_FILES = [
+  'SOUL.md', 'AGENTS.md', 'IDENTITY.md',
+  'USER.md', 'TOOLS.md', 'HEARTBEAT.md', 'GOALS.md',
+];
+
+const DEFAULT_POLICY = Object.freeze({
+  version: POLICY_VERSION,
+  writes: {
+    blockedFiles: ['.env', '.env.local', '.env.production', 'package.json', 'package-lock.json'],
+    blockedPrefixes: ['node_modules/', 'sneebly/subagents/', 'sneebly/src/'],
+    useAgentsMd: true,
+    safePaths: [],
+    protectedPaths: [],
+  },
+  code: {
+    blockedPatterns: [
+      { pattern: 'process\\.env\\[', label: 'Dynamic env var access' },
+      { pattern: 'writeFileSync.*\\.env', flags: 'i', label: 'Writing to .env file' },
+      { pattern: 'writeFileSync.*SOUL\\.md', flags: 'i', label: 'Writing to SOUL.md' },
+    ],
+  },
+  commands: {
+    executables: ['npm', 'npx', 'git', 'curl'],
+    allowed: {
+      'npm': ['test', 'run build', 'run lint'],
+      'npx': ['eslint', 'eslint .', 'prettier --write', 'biome check --write'],
+      'git': ['add .', 'add', 'commit', 'status', 'diff', 'log', 'rev-parse', 'revert --no-edit', 'revert --abort'],
+      'curl': ['-s', '-f', '--silent', '--fail', 'http://localhost', 'http://127.0.0.1'],
+    },
+    entries: [],
+    timeoutMs: 60000,
+    env: [
+      'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LC_*', 'TERM', 'TZ', 'TMPDIR', 'TMP', 'TEMP',
+      'CI', 'NODE_ENV', 'NODE_OPTIONS', 'NODE_EXTRA_CA_CERTS', 'npm_config_*', 'NPM_CONFIG_*', 'COREPACK_*', 'XDG_*',
+      'GIT_AUTHOR_*', 'GIT_COMMITTER_*', 'SYSTEMROOT', 'PATHEXT', 'COMSPEC', 'APPDATA', 'LOCALAPPDATA',
+    ],
+  },
+  secrets: {
+    allow: [],
+    // Variables whose values are never secrets; separate from commands.env, which only decides what children inherit
+    allowEnv: [
+      'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LC_*', 'TERM', 'TZ', 'TMPDIR', 'TMP', 'TEMP',
+      'CI', 'NODE_ENV', 'XDG_*', 'GIT_AUTHOR_*', 'GIT_COMMITTER_*', 'SYSTEMROOT', 'PATHEXT', 'COMSPEC', 'APPDATA', 'LOCALAPPDATA',
+    ],
+    entropyThreshold: 4.5,
+    scanEnv: true,
+  },
+  sensitiveCategories: {
+    auth: ['auth', 'login', 'logout', 'session', 'token', 'oauth', 'sso'],
+    security: ['security', 'vulnerability', 'exploit', 'injection', 'xss', 'csrf'],
+    permissions: ['permission', 'role', 'access', 'admin', 'privilege'],
+    database: ['migration', 'schema', 'drop', 'alter', 'table', 'column', 'index'],
+    payments: ['payment', 'billing', 'stripe', 'charge', 'subscription', 'invoice'],
+    deletions: ['delete', 'remove', 'purge', 'destroy', 'truncate'],
+    credentials: ['credential', 'secret', 'key', 'password', 'api.?key', 'env'],
+  },
+});
+
+const SECTION_KEYS = {
+  writes: ['blockedFiles', 'blockedPrefixes', 'useAgentsMd', 'safePaths', 'protectedPaths'],
+  code: ['blockedPatterns'],
+  commands: ['executables', 'allowed', 'entries', 'timeoutMs', 'env'],
+  secrets: ['allow', 'allowEnv', 'entropyThreshold', 'scanEnv'],
+};
+
+const EXECUTABLE_NAME = /^[\w.-]+$/;
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*\*?$/;
+
+const cache = new Map();
+let _activeDataDir = null;
+
+function _isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+}
+
+function _checkRegex(source, flags, label, errors) {
+  try {
+    new RegExp(source, flags || '');
+  } catch (err) {
+    errors.push(`${label}: ${err.message}`);
+  }
+}
+
+function _isTimeout(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function _checkEnvList(value, label, errors) {
+  if (value === undefined) return;
+  if (!_isStringList(value)) errors.push(`${label}: must be a list of environment variable names`);
+  else {
+    for (const name of value) {
+      if (!ENV_NAME.test(name)) errors.push(`${label}: '${name}' is not a variable name (a trailing * matches a prefix)`);
+    }
+  }
+}
+
+function _checkCommandEntry(entry, label, errors) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${label}: must be an object with an argv list`);
+    return;
+  }
+  for (const key of Object.keys(entry)) {
+    if (!['argv', 'args', 'timeoutMs', 'cwd', 'env'].includes(key)) errors.push(`${label}.${key}: unknown setting`);
+  }
+  if (entry.args !== undefined && !['paths', 'any'].includes(entry.args)) errors.push(`${label}.args: must be "paths" or "any"`);
+  if (!Array.isArray(entry.argv) || entry.argv.length === 0 || !entry.argv.every(a => typeof a === 'string' && a !== '')) {
+    errors.push(`${label}.argv: must be a non-empty list of arguments`);
+  } else if (!EXECUTABLE_NAME.test(entry.argv[0])) {
+    errors.push(`${label}.argv: '${entry.argv[0]}' must be a bare executable name`);
+  }
+  if (entry.timeoutMs !== undefined && !_isTimeout(entry.timeoutMs)) errors.push(`${label}.timeoutMs: must be a positive number of milliseconds`);
+  if (entry.cwd !== undefined) {
+    const cwd = typeof entry.cwd === 'string' ? path.normalize(entry.cwd) : null;
+    if (!cwd || path.isAbsolute(cwd) || cwd.split(/[\\/]/).includes('..')) errors.push(`${label}.cwd: must be a directory inside the project`);
+  }
+  _checkEnvList(entry.env, `${label}.env`, errors);
+}
+
+function validatePolicy(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return { valid: false, errors: ['policy must be a JSON object'] };
+
+  if (doc.version !== POLICY_VERSION) errors.push(`version: expected ${POLICY_VERSION}, got ${JSON.stringify(doc.version)}`);
+  for (const key of Object.keys(doc)) {
+    if (key !== 'version' && key !== 'sensitiveCategories' && !SECTION_KEYS[key]) errors.push(`${key}: unknown section`);
+  }
+
+  for (const [section, keys] of Object.entries(SECTION_KEYS)) {
+    if (doc[section] === undefined) continue;
+    if (!doc[section] || typeof doc[section] !== 'object' || Array.isArray(doc[section])) {
+      errors.push(`${section}: must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(doc[section])) {
+      if (!keys.includes(key)) errors.push(`${section}.${key}: unknown setting`);
+    }
+  }
+
+  const writes = doc.writes || {};
+  for (const key of ['blockedFiles', 'blockedPrefixes', 'safePaths', 'protectedPaths']) {
+    if (writes[key] !== undefined && !_isStringList(writes[key])) errors.push(`writes.${key}: must be a list of non-empty strings`);
+  }
+  if (writes.useAgentsMd !== undefined && typeof writes.useAgentsMd !== 'boolean') errors.push('writes.useAgentsMd: must be true or false');
+
+  const code = doc.code || {};
+  if (code.blockedPatterns !== undefined) {
+    if (!Array.isArray(code.blockedPatterns)) errors.push('code.blockedPatterns: must be a list');
+    else {
+      code.blockedPatterns.forEach((p, i) => {
+        if (!p || typeof p.pattern !== 'string' || !p.label) errors.push(`code.blockedPatterns[${i}]: needs a pattern and a label`);
+        else _checkRegex(p.pattern, p.flags, `code.blockedPatterns[${i}]`, errors);
+      });
+    }
+  }
+
+  const commands = doc.commands || {};
+  if (commands.executables !== undefined) {
+    if (!_isStringList(commands.executables)) errors.push('commands.executables: must be a list of non-empty strings');
+    else {
+      for (const exe of commands.executables) {
+        if (!EXECUTABLE_NAME.test(exe)) errors.push(`commands.executables: '${exe}' must be a bare executable name`);
+      }
+    }
+  }
+  if (commands.allowed !== undefined) {
+    if (!commands.allowed || typeof commands.allowed !== 'object' || Array.isArray(commands.allowed)) errors.push('commands.allowed: must map executables to subcommand prefixes');
+    else {
+      const executables = commands.executables || DEFAULT_POLICY.commands.executables;
+      for (const [exe, subs] of Object.entries(commands.allowed)) {
+        if (!Array.isArray(subs) || !subs.every(s => typeof s === 'string')) errors.push(`commands.allowed.${exe}: must be a list of strings`);
+        if (Array.isArray(executables) && !executables.includes(exe)) errors.push(`commands.allowed.${exe}: '${exe}' is not in commands.executables`);
+      }
+    }
+  }
+
+  if (commands.timeoutMs !== undefined && !_isTimeout(commands.timeoutMs)) errors.push('commands.timeoutMs: must be a positive number of milliseconds');
+  _checkEnvList(commands.env, 'commands.env', errors);
+  if (commands.entries !== undefined) {
+    if (!Array.isArray(commands.entries)) errors.push('commands.entries: must be a list');
+    else commands.entries.forEach((entry, i) => _checkCommandEntry(entry, `commands.entries[${i}]`, errors));
+  }
+
+  const secrets = doc.secrets || {};
+  if (secrets.allow !== undefined) {
+    if (!_isStringList(secrets.allow)) errors.push('secrets.allow: must be a list of non-empty regexes');
+    else secrets.allow.forEach((p, i) => _checkRegex(p, '', `secrets.allow[${i}]`, errors));
+  }
+  _checkEnvList(secrets.allowEnv, 'secrets.allowEnv', errors);
+  if (secrets.entropyThreshold !== undefined && !(typeof secrets.entropyThreshold === 'number' && secrets.entropyThreshold >= 3 && secrets.entropyThreshold <= 6)) {
+    errors.push('secrets.entropyThreshold: must be a number of bits per character between 3 and 6');
+  }
+  if (secrets.scanEnv !== undefined && typeof secrets.scanEnv !== 'boolean') errors.push('secrets.scanEnv: must be true or false');
+
+  if (doc.sensitiveCategories !== undefined) {
+    const categories = doc.sensitiveCategories;
+    if (!categories || typeof categories !== 'object' || Array.isArray(categories)) errors.push('sensitiveCategories: must map categories to keyword lists');
+    else {
+      for (const [category, keywords] of Object.entries(categories)) {
+        if (!_isStringList(keywords)) {
+          errors.push(`sensitiveCategories.${category}: must be a list of non-empty strings`);
+          continue;
+        }
+        for (const kw of keywords) {
+          if (kw.includes('?') || kw.includes('*')) _checkRegex(kw, 'i', `sensitiveCategories.${category}`, errors);
+        }
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function mergePolicy(doc) {
+  const merged = JSON.parse(JSON.stringify(DEFAULT_POLICY));
+  for (const section of Object.keys(SECTION_KEYS)) {
+    if (doc[section]) Object.assign(merged[section], doc[section]);
+  }
+  if (doc.sensitiveCategories) merged.sensitiveCategories = doc.sensitiveCategories;
+  return merged;
+}
+
+function policyPath(dataDir) {
+  return path.join(dataDir, POLICY_FILE);
+}
+
+function loadPolicy(dataDir) {
+  const file = policyPath(path.resolve(dataDir));
+  let stat = null;
+  try { stat = fs.statSync(file); } catch {}
+
+  const key = stat ? `${file}:${stat.mtimeMs}:${stat.size}` : `${file}:missing`;
+  if (cache.has(file) && cache.get(file).key === key) return cache.get(file).result;
+
+  let result;
+  if (!stat) {
+    result = { policy: mergePolicy({}), source: 'default', path: file, errors: [] };
+  } else {
+    let doc = null;
+    let errors = [];
+    try {
+      doc = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      errors = validatePolicy(doc).errors;
+    } catch (err) {
+      errors = [`${POLICY_FILE}: ${err.message}`];
+    }
+    result = errors.length === 0
+      ? { policy: mergePolicy(doc), source: 'file', path: file, errors }
+      : { policy: mergePolicy({}), source: 'default', path: file, errors };
+  }
+  cache.set(file, { key, result });
+  return result;
+}
+
+function usePolicy(dataDir) {
+  _activeDataDir = dataDir;
+  return loadPolicy(dataDir);
+}
+
+function getPolicy(dataDir) {
+  return loadPolicy(dataDir || _activeDataDir || path.join(process.cwd(), '.sneebly')).policy;
+}
+
+function _resetPolicy() {
+  _activeDataDir = null;
+  cache.clear();
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  IDENTITY_FILES,
+  POLICY_FILE,
+  POLICY_VERSION,
+  validatePolicy,
+  mergePolicy,
+  loadPolicy,
+  usePolicy,
+  getPolicy,
+  policyPath,
+  _resetPolicy,
+};
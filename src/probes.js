@@ -0,0 +1,281 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const MAX_PROBES = 10;
+const SAFE_METHODS = new Set(['GET', 'HEAD']);
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+const DEFAULT_PROBE_TIMEOUT_MS = 10000;
+const APP_ENTRY_FILES = ['client/src/App.tsx', 'client/src/App.jsx', 'client/src/App.ts', 'client/src/App.js'];
+
+function _isLocalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'http:' || parsed.protocol === 'https:') && LOCAL_HOSTS.has(parsed.hostname);
+  } catch {
+    return false;
+  }
+}
+
+function _isAppPath(target) {
+  return /^\/(?![/\\])/.test(target);
+}
+
+function normalizeProbe(raw, defaults = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+  const type = raw.type === 'page' ? 'page' : 'http';
+  const target = raw.path || raw.url;
+  if (typeof target !== 'string') return null;
+  if (!_isAppPath(target) && !_isLocalUrl(target)) return null;
+
+  const method = String(raw.method || 'GET').toUpperCase();
+  if (type === 'http' && !SAFE_METHODS.has(method)) return null;
+
+  const probe = {
+    type,
+    name: raw.name || (type === 'page' ? `page ${target}` : `${method} ${target}`),
+    target,
+    source: raw.source || defaults.source || 'spec',
+  };
+  if (type === 'http') probe.method = method;
+  probe.expectStatus = raw.expectStatus !== undefined ? raw.expectStatus : (defaults.expectStatus || '<400');
+  if (raw.expectJson !== undefined) probe.expectJson = raw.expectJson;
+  if (typeof raw.expectBodyIncludes === 'string') probe.expectBodyIncludes = raw.expectBodyIncludes;
+  if (typeof raw.expectText === 'string') probe.expectText = raw.expectText;
+  return probe;
+}
+
+function normalizeProbes(list, defaults) {
+  if (!Array.isArray(list)) return [];
+  return list.map(p => normalizeProbe(p, defaults)).filter(Boolean);
+}
+
+function _pageRoutes(projectRoot) {
+  const routes = {};
+  for (const entry of APP_ENTRY_FILES) {
+    let content;
+    try { content = fs.readFileSync(path.join(projectRoot, entry), 'utf-8'); } catch { continue; }
+
+    const imports = {};
+    const importRegex = /import\s+(\w+)\s+from\s+['"]([^'"]*pages\/[^'"]+)['"]/g;
+    let match;
+    while ((match = importRegex.exec(content)) !== null) {
+      imports[match[1]] = path.basename(match[2]).replace(/\.(tsx|ts|jsx|js)$/, '');
+    }
+
+    const routeRegex = /<Route\b[^>]*?\bpath=["'](\/[^"']*)["'][^>]*?\bcomponent=\{(\w+)\}|<Route\b[^>]*?\bcomponent=\{(\w+)\}[^>]*?\bpath=["'](\/[^"']*)["']/g;
+    while ((match = routeRegex.exec(content)) !== null) {
+      const routePath = match[1] || match[4];
+      const component = match[2] || match[3];
+      const page = imports[component];
+      if (page && !routePath.includes(':') && !routes[page]) routes[page] = routePath;
+    }
+    break;
+  }
+  return routes;
+}
+
+function deriveProbes(spec, index, options = {}) {
+  const probes = normalizeProbes(spec.probes, { source: 'spec' });
+  if (spec.deriveProbes === false || !index) return probes.slice(0, MAX_PROBES);
+
+  const changed = new Set([spec.filePath, ...(options.changedFiles || [])].filter(Boolean).map(f => f.replace(/\\/g, '/')));
+  const seen = new Set(probes.map(p => `${p.type}:${p.target}`));
+  const add = probe => {
+    if (!probe) return;
+    const key = `${probe.type}:${probe.target}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    probes.push(probe);
+  };
+
+  const affectedEndpoints = new Set();
+  for (const route of Object.values(index.routes || {})) {
+    const touched = changed.has(route.file) || (route.imports || []).some(imp => changed.has(imp));
+    if (!touched) continue;
+    for (const endpoint of route.endpoints || []) {
+      affectedEndpoints.add(endpoint.path);
+      if (endpoint.method !== 'GET' || endpoint.path.includes(':') || endpoint.path.includes('*')) continue;
+      add(normalizeProbe({ path: endpoint.path, expectStatus: '<500' }, { source: 'dependency-index' }));
+    }
+  }
+
+  const pageRoutes = options.projectRoot ? _pageRoutes(options.projectRoot) : {};
+  for (const [name, page] of Object.entries(index.pages || {})) {
+    const touched = changed.has(page.file) || (page.apiCalls || []).some(call => affectedEndpoints.has(call));
+    if (!touched || !pageRoutes[name]) continue;
+    add(normalizeProbe({ type: 'page', path: pageRoutes[name], expectStatus: '<400' }, { source: 'dependency-index' }));
+  }
+
+  return probes.slice(0, MAX_PROBES);
+}
+
+function _statusMatches(status, expected) {
+  if (Array.isArray(expected)) return expected.some(e => _statusMatches(status, e));
+  if (typeof expected === 'number') return status === expected;
+  const spec = String(expected).trim();
+  let match = spec.match(/^([1-5])xx$/i);
+  if (match) return Math.floor(status / 100) === parseInt(match[1], 10);
+  match = spec.match(/^(<=?|>=?)\s*(\d{3})$/);
+  if (match) {
+    const bound = parseInt(match[2], 10);
+    return { '<': status < bound, '<=': status <= bound, '>': status > bound, '>=': status >= bound }[match[1]];
+  }
+  return status === parseInt(spec, 10);
+}
+
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function shapeErrors(value, shape, at = '$') {
+  if (shape === true || shape === 'any') return [];
+
+  if (typeof shape === 'string') {
+    const optional = shape.endsWith('?');
+    const type = optional ? shape.slice(0, -1) : shape;
+    if (optional && (value === undefined || value === null)) return [];
+    if (value === undefined) return [`${at}: missing`];
+    return _typeOf(value) === type ? [] : [`${at}: expected ${type}, got ${_typeOf(value)}`];
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) return [`${at}: expected array, got ${_typeOf(value)}`];
+    if (shape.length === 0) return [];
+    return value.slice(0, 20).flatMap((item, i) => shapeErrors(item, shape[0], `${at}[${i}]`));
+  }
+
+  if (shape && typeof shape === 'object') {
+    if (_typeOf(value) !== 'object') return [`${at}: expected object, got ${_typeOf(value)}`];
+    return Object.entries(shape).flatMap(([key, sub]) => shapeErrors(value[key], sub, `${at}.${key}`));
+  }
+  return [];
+}
+
+function _request(url, method, timeoutMs) {
+  return new Promise((resolve) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, { method, timeout: timeoutMs, rejectUnauthorized: false }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { if (body.length < 200000) body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', (err) => resolve({ error: err.message }));
+    req.on('timeout', () => { req.destroy(); resolve({ error: `timed out after ${timeoutMs}ms` }); });
+    req.end();
+  });
+}
+
+async function _runHttpProbe(probe, url, timeoutMs) {
+  const response = await _request(url, probe.method, timeoutMs);
+  if (response.error) return { passed: false, reason: response.error };
+
+  const outcome = { status: response.status };
+  if (!_statusMatches(response.status, probe.expectStatus)) {
+    return { ...outcome, passed: false, reason: `status ${response.status}, expected ${probe.expectStatus}` };
+  }
+  if (probe.expectBodyIncludes && !response.body.includes(probe.expectBodyIncludes)) {
+    return { ...outcome, passed: false, reason: `body does not contain "${probe.expectBodyIncludes}"` };
+  }
+  if (probe.expectJson !== undefined) {
+    let json;
+    try {
+      json = JSON.parse(response.body);
+    } catch {
+      return { ...outcome, passed: false, reason: 'response is not valid JSON' };
+    }
+    const errors = shapeErrors(json, probe.expectJson);
+    if (errors.length > 0) return { ...outcome, passed: false, reason: `shape mismatch: ${errors.slice(0, 3).join('; ')}` };
+  }
+  return { ...outcome, passed: true };
+}
+
+function _loadChromium() {
+  for (const name of ['playwright-core', 'playwright']) {
+    try {
+      return require(name).chromium;
+    } catch {}
+  }
+  return null;
+}
+
+async function _runPageProbe(browser, probe, url, timeoutMs) {
+  const page = await browser.newPage();
+  const pageErrors = [];
+  page.on('pageerror', (err) => pageErrors.push(err.message));
+  try {
+    const response = await page.goto(url, { waitUntil: 'load', timeout: timeoutMs });
+    await page.waitForTimeout(500);
+    const status = response ? response.status() : 0;
+    if (response && !_statusMatches(status, probe.expectStatus)) {
+      return { status, passed: false, reason: `status ${status}, expected ${probe.expectStatus}` };
+    }
+    if (pageErrors.length > 0) return { status, passed: false, reason: `uncaught error: ${pageErrors[0].slice(0, 200)}` };
+    if (probe.expectText) {
+      const text = await page.textContent('body');
+      if (!text || !text.includes(probe.expectText)) return { status, passed: false, reason: `page does not contain "${probe.expectText}"` };
+    }
+    return { status, passed: true };
+  } catch (err) {
+    return { passed: false, reason: err.message.split('\n')[0] };
+  } finally {
+    try { await page.close(); } catch {}
+  }
+}
+
+async function runProbes(baseUrl, probes, options = {}) {
+  const timeoutMs = options.timeoutMs || DEFAULT_PROBE_TIMEOUT_MS;
+  const results = [];
+  let browser = null;
+  let browserError = null;
+
+  try {
+    for (const probe of probes) {
+      const url = _isAppPath(probe.target) ? new URL(probe.target, baseUrl).toString() : probe.target;
+      const started = Date.now();
+      let outcome;
+
+      if (_isAppPath(probe.target) ? new URL(url).origin !== new URL(baseUrl).origin : !_isLocalUrl(url)) {
+        outcome = { passed: false, reason: `probe target ${probe.target} does not resolve to the app (${baseUrl})` };
+      } else if (probe.type === 'page') {
+        if (!browser && !browserError) {
+          const chromium = _loadChromium();
+          if (!chromium) browserError = 'Playwright not installed';
+          else {
+            try {
+              browser = await chromium.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'] });
+            } catch (err) {
+              browserError = `Failed to launch browser: ${err.message.split('\n')[0]}`;
+            }
+          }
+        }
+        outcome = browser ? await _runPageProbe(browser, probe, url, timeoutMs) : { passed: true, skipped: true, reason: browserError };
+      } else {
+        outcome = await _runHttpProbe(probe, url, timeoutMs);
+      }
+
+      results.push({ name: probe.name, type: probe.type, url, source: probe.source, ...outcome, durationMs: Date.now() - started });
+    }
+  } finally {
+    if (browser) {
+      try { await browser.close(); } catch {}
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  normalizeProbe,
+  normalizeProbes,
+  deriveProbes,
+  runProbes,
+  shapeErrors,
+  _statusMatches,
+  _pageRoutes,
+  MAX_PROBES,
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+const DEFAULT_MODEL_MAP = {
+  haiku: 'claude-haiku-4-5-20251001',
+  sonnet: 'claude-sonnet-4-5-20250929',
+  opus: 'claude-opus-4-6',
+};
+
+function isRateLimitError(err) {
+  if (err && err.status === 429) return true;
+  if (err && err.error && err.error.type === 'rate_limit_error') return true;
+  const msg = (err && err.message) || '';
+  return msg.includes('429') || msg.toLowerCase().includes('rate limit') || msg.toLowerCase().includes('too many requests');
+}
+
+function isOverloadedError(err) {
+  if (err && err.status === 529) return true;
+  const msg = (err && err.message) || '';
+  return msg.includes('529') || msg.toLowerCase().includes('overloaded');
+}
+
+function isAuthError(err) {
+  if (err && (err.status === 401 || err.status === 403)) return true;
+  const msg = (err && err.message) || '';
+  return msg.includes('invalid x-api-key') || msg.includes('invalid api key');
+}
+
+function isBillingError(err) {
+  if (err && err.status === 400) {
+    const msg = (err && err.message) || '';
+    return msg.toLowerCase().includes('credit balance') || msg.toLowerCase().includes('billing');
+  }
+  return false;
+}
+
+function classifyError(err) {
+  if (isAuthError(err)) return 'invalid-api-key';
+  if (isBillingError(err)) return 'no-credits';
+  if (isRateLimitError(err)) return 'rate-limited';
+  if (isOverloadedError(err)) return 'overloaded';
+  return 'api-unreachable';
+}
+
+function getRetryAfter(err) {
+  if (err && err.headers && typeof err.headers.get === 'function') {
+    return err.headers.get('retry-after');
+  }
+  if (err && err.headers && err.headers['retry-after']) {
+    return err.headers['retry-after'];
+  }
+  return null;
+}
+
+function _toSystemParam(blocks) {
+  return blocks
+    .filter(b => b.text)
+    .map(b => (b.cache
+      ? { type: 'text', text: b.text, cache_control: { type: 'ephemeral' } }
+      : { type: 'text', text: b.text }));
+}
+
+function createAnthropicProvider(options = {}) {
+  const modelMap = { ...DEFAULT_MODEL_MAP, ...(options.modelMap || {}) };
+  let client = null;
+  let clientKey = null;
+
+  return {
+    name: 'anthropic',
+    requiresApiKey: true,
+    priced: true,
+    modelMap,
+
+    resolveModel(model) {
+      return modelMap[model] || modelMap.sonnet;
+    },
+
+    async complete({ apiKey, systemPrompt, systemBlocks, userPrompt, messages, model, maxTokens }) {
+      // Keys are re-read per request (the dashboard can rotate them), so rebuild the client when one changes
+      const baseURL = options.baseUrl || process.env.ANTHROPIC_BASE_URL || undefined;
+      const key = JSON.stringify([apiKey, baseURL]);
+      if (!client || clientKey !== key) {
+        const Anthropic = require('@anthropic-ai/sdk');
+        client = new Anthropic({ apiKey, baseURL });
+        clientKey = key;
+      }
+
+      const response = await client.messages.create({
+        model: this.resolveModel(model),
+        max_tokens: maxTokens || 8192,
+        system: systemBlocks ? _toSystemParam(systemBlocks) : systemPrompt,
+        messages: messages || [{ role: 'user', content: userPrompt }],
+      });
+
+      return { text: response.content[0].text, usage: response.usage || {} };
+    },
+
+    classifyError,
+    getRetryAfter,
+  };
+}
+
+module.exports = {
+  createAnthropicProvider,
+  classifyError,
+  getRetryAfter,
+  isRateLimitError,
+  isOverloadedError,
+  isAuthError,
+  isBillingError,
+  DEFAULT_MODEL_MAP,
+};
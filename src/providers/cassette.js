@@ -0,0 +1,127 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CASSETTE_MODES = new Set(['record', 'replay']);
+
+const _replayCursors = new Map();
+const _recordedFiles = new Set();
+
+function _hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function _cassettePath(dir, agentName, systemPromptHash, userPrompt) {
+  const key = _hash(`${agentName}\n${systemPromptHash}\n${userPrompt}`).substring(0, 16);
+  const safeAgent = String(agentName).replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(dir, `${safeAgent}-${key}.json`);
+}
+
+function _readCassette(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+class CassetteMissError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'CassetteMissError';
+    this.code = 'CASSETTE_MISS';
+    this.details = details;
+  }
+}
+
+function createCassetteProvider({ inner, mode, dir }) {
+  if (!CASSETTE_MODES.has(mode)) {
+    throw new Error(`Unknown cassette mode "${mode}" (expected record or replay)`);
+  }
+
+  return {
+    name: inner.name,
+    requiresApiKey: mode === 'record' ? inner.requiresApiKey : false,
+    priced: mode === 'replay' ? false : inner.priced,
+    modelMap: inner.modelMap,
+    cassetteMode: mode,
+
+    resolveModel(model) {
+      return inner.resolveModel(model);
+    },
+
+    async complete(request) {
+      const { agentName, systemPrompt, model } = request;
+      const task = request.messages ? JSON.stringify(request.messages) : request.userPrompt;
+      const systemPromptHash = _hash(systemPrompt);
+      const filePath = _cassettePath(dir, agentName, systemPromptHash, task);
+
+      if (mode === 'replay') {
+        const cassette = _readCassette(filePath);
+        const cursor = _replayCursors.get(filePath) || 0;
+        if (!cassette || !Array.isArray(cassette.interactions) || cursor >= cassette.interactions.length) {
+          throw new CassetteMissError(
+            cassette
+              ? `Cassette ${path.basename(filePath)} for ${agentName} has only ${cassette.interactions.length} recorded response(s); request #${cursor + 1} is unmatched`
+              : `No cassette recorded for ${agentName} (system prompt ${systemPromptHash.substring(0, 12)}) — expected ${filePath}`,
+            { agentName, systemPromptHash, filePath, cursor },
+          );
+        }
+        _replayCursors.set(filePath, cursor + 1);
+        const interaction = cassette.interactions[cursor];
+        return { text: interaction.text, usage: interaction.usage || {} };
+      }
+
+      const response = await inner.complete(request);
+
+      let cassette = _recordedFiles.has(filePath) ? _readCassette(filePath) : null;
+      if (!cassette) {
+        cassette = { agentName, systemPromptHash, provider: inner.name, model, task, interactions: [] };
+      }
+      cassette.interactions.push({ text: response.text, usage: response.usage || {}, recordedAt: new Date().toISOString() });
+
+      try {
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(cassette, null, 2));
+        _recordedFiles.add(filePath);
+      } catch (err) {
+        console.warn(`[Sneebly] Failed to write cassette ${filePath}: ${err.message}`);
+      }
+
+      return response;
+    },
+
+    classifyError(err) {
+      if (err && err.code === 'CASSETTE_MISS') return 'cassette-miss';
+      return inner.classifyError(err);
+    },
+
+    getRetryAfter(err) {
+      return inner.getRetryAfter(err);
+    },
+  };
+}
+
+function getCassetteConfig(options = {}) {
+  const mode = options.mode || process.env.SNEEBLY_CASSETTE || null;
+  if (!mode || mode === 'off') return null;
+
+  const baseDir = options.dir || process.env.SNEEBLY_CASSETTE_DIR || path.join(options.dataDir || path.join(process.cwd(), '.sneebly'), 'cassettes');
+  const name = options.name || process.env.SNEEBLY_CASSETTE_NAME || null;
+  return { mode, dir: name ? path.join(baseDir, name) : baseDir };
+}
+
+function _resetCassettes() {
+  _replayCursors.clear();
+  _recordedFiles.clear();
+}
+
+module.exports = {
+  createCassetteProvider,
+  getCassetteConfig,
+  CassetteMissError,
+  CASSETTE_MODES,
+  _resetCassettes,
+};
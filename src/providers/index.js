@@ -0,0 +1,64 @@
+'use strict';
+
+const path = require('path');
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createMockProvider } = require('./mock');
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+const DEFAULT_PROVIDER = 'anthropic';
+
+const _cache = new Map();
+
+function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+function resolveProviderConfig(agentName, frontmatter = {}, heartbeatConfig = {}) {
+  const subagentProviders = heartbeatConfig.subagentProviders || {};
+  const name = frontmatter.provider || subagentProviders[agentName] || heartbeatConfig.provider || DEFAULT_PROVIDER;
+
+  return {
+    name,
+    baseUrl: frontmatter.baseUrl || heartbeatConfig.providerBaseUrl || null,
+    modelMap: { ...(heartbeatConfig.modelMap || {}), ...(frontmatter.modelMap || {}) },
+    script: heartbeatConfig.mockScript || null,
+  };
+}
+
+function getProvider(agentName, frontmatter, heartbeatConfig, identityDir) {
+  const config = resolveProviderConfig(agentName, frontmatter, heartbeatConfig);
+  const script = config.script && identityDir ? path.resolve(identityDir, config.script) : config.script;
+  const key = JSON.stringify([config.name, config.baseUrl, config.modelMap, script]);
+
+  if (!_cache.has(key)) {
+    _cache.set(key, createProvider(config.name, {
+      baseUrl: config.baseUrl || undefined,
+      modelMap: config.modelMap,
+      script: script || undefined,
+    }));
+  }
+  return _cache.get(key);
+}
+
+function _resetProviders() {
+  _cache.clear();
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  resolveProviderConfig,
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  _resetProviders,
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const fs = require('fs');
+
+const ERROR_TYPES = new Set(['invalid-api-key', 'no-credits', 'rate-limited', 'overloaded', 'api-unreachable']);
+
+function _loadScript(script) {
+  if (Array.isArray(script)) return script;
+  if (typeof script === 'string') {
+    try {
+      const data = JSON.parse(fs.readFileSync(script, 'utf-8'));
+      return Array.isArray(data) ? data : (data.steps || []);
+    } catch (err) {
+      throw new Error(`Cannot read mock provider script ${script}: ${err.message}`);
+    }
+  }
+  return [];
+}
+
+function _stepMatches(step, agentName, userPrompt) {
+  if (step.agent && step.agent !== agentName) return false;
+  if (step.match && !String(userPrompt).includes(step.match)) return false;
+  return true;
+}
+
+function classifyError(err) {
+  if (err && ERROR_TYPES.has(err.mockType)) return err.mockType;
+  return 'api-unreachable';
+}
+
+function createMockProvider(options = {}) {
+  const steps = _loadScript(options.script).map(step => (typeof step === 'string' ? { text: step } : { ...step }));
+  const calls = [];
+
+  return {
+    name: 'mock',
+    requiresApiKey: false,
+    priced: options.priced !== undefined ? options.priced : true,
+    modelMap: {},
+    calls,
+
+    resolveModel(model) {
+      return model;
+    },
+
+    async complete({ agentName, systemPrompt, userPrompt, messages, model }) {
+      calls.push({ agentName, model, systemPrompt, userPrompt, messages });
+      const promptChars = messages ? messages.reduce((n, m) => n + String(m.content).length, 0) : userPrompt.length;
+
+      const idx = steps.findIndex(s => !s.used && _stepMatches(s, agentName, userPrompt));
+      if (idx === -1) {
+        const err = new Error(`Mock provider script has no response left for ${agentName}`);
+        err.mockType = 'api-unreachable';
+        throw err;
+      }
+
+      const step = steps[idx];
+      if (!step.repeat) step.used = true;
+
+      if (step.error) {
+        const err = new Error(step.error.message || step.error.type || 'mock error');
+        err.status = step.error.status;
+        err.mockType = step.error.type;
+        err.retryAfter = step.error.retryAfter;
+        throw err;
+      }
+
+      const text = typeof step.text === 'string' ? step.text : JSON.stringify(step.response || {});
+      const usage = step.usage || {
+        inputTokens: Math.ceil((systemPrompt.length + promptChars) / 4),
+        outputTokens: Math.ceil(text.length / 4),
+      };
+
+      return { text, usage };
+    },
+
+    classifyError,
+
+    getRetryAfter(err) {
+      return err && err.retryAfter !== undefined ? String(err.retryAfter) : null;
+    },
+
+    remaining() {
+      return steps.filter(s => !s.used && !s.repeat).length;
+    },
+  };
+}
+
+module.exports = { createMockProvider };
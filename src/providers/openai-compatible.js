@@ -0,0 +1,93 @@
+'use strict';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+function classifyError(err) {
+  const status = err && err.status;
+  const msg = ((err && err.message) || '').toLowerCase();
+  if (status === 401 || status === 403 || msg.includes('invalid api key') || msg.includes('incorrect api key')) return 'invalid-api-key';
+  if (status === 402 || msg.includes('insufficient_quota') || msg.includes('billing')) return 'no-credits';
+  if (status === 429 || msg.includes('rate limit') || msg.includes('too many requests')) return 'rate-limited';
+  if (status === 503 || status === 529 || msg.includes('overloaded')) return 'overloaded';
+  return 'api-unreachable';
+}
+
+function getRetryAfter(err) {
+  if (err && err.headers && typeof err.headers.get === 'function') {
+    return err.headers.get('retry-after');
+  }
+  return null;
+}
+
+function createOpenAICompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.SNEEBLY_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const modelMap = { ...(options.modelMap || {}) };
+  const timeoutMs = options.timeoutMs || 300000;
+
+  return {
+    name: 'openai-compatible',
+    requiresApiKey: false,
+    priced: false,
+    modelMap,
+
+    resolveModel(model) {
+      return modelMap[model] || model;
+    },
+
+    async complete({ systemPrompt, userPrompt, messages, model, maxTokens }) {
+      const key = options.apiKey || process.env.SNEEBLY_LLM_API_KEY || null;
+      const headers = { 'Content-Type': 'application/json' };
+      if (key) headers.Authorization = `Bearer ${key}`;
+
+      let res;
+      try {
+        res = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            model: this.resolveModel(model),
+            max_tokens: maxTokens || 8192,
+            messages: [
+              { role: 'system', content: systemPrompt },
+              ...(messages || [{ role: 'user', content: userPrompt }]),
+            ],
+          }),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        const wrapped = new Error(`Cannot reach ${baseUrl}: ${err.message}`);
+        wrapped.cause = err;
+        throw wrapped;
+      }
+
+      if (!res.ok) {
+        const body = await res.text().catch(() => '');
+        const err = new Error(`${res.status} ${res.statusText}: ${body.substring(0, 500)}`);
+        err.status = res.status;
+        err.headers = res.headers;
+        throw err;
+      }
+
+      const data = await res.json();
+      const choice = data.choices && data.choices[0];
+      const text = choice && choice.message ? choice.message.content || '' : '';
+      const usage = data.usage || {};
+      const cached = (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0;
+
+      return {
+        text,
+        usage: {
+          inputTokens: Math.max(0, (usage.prompt_tokens || 0) - cached),
+          outputTokens: usage.completion_tokens || 0,
+          cacheReadTokens: cached,
+          cacheWriteTokens: 0,
+        },
+      };
+    },
+
+    classifyError,
+    getRetryAfter,
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider, classifyError, DEFAULT_BASE_URL };
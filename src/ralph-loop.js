@@ -5,8 +5,48 @@ const path = require('path');
 const { executeSpec } = require('./subagents/spec-executor');
 const { CodeEngine } = require('./code-engine');
 const { CommandValidator } = require('./security');
+const { parseHeartbeatConfig } = require('./context-loader');
+const { createCheckpoint } = require('./checkpoints');
+const { shouldIsolate, createSandbox, destroySandbox, findFreePort, withPort, promoteChanges } = require('./sandbox');
+const { buildDependencyIndex } = require('./dependency-index');
+const { deriveProbes } = require('./probes');
+const { loadCrashRules, crashGuidance, toErrorLogEntry } = require('./crash-patterns');
+const { usePolicy } = require('./policy');
+const { scanPayload, describeFindings, recordSecretBlock } = require('./secret-scanner');
+const { measureChange, createTracker, exceededLimits, recordUsage, snapshotUsage, describeExceeded } = require('./blast-radius');
 
 const EMPTY_BACKUP = Object.freeze({ backups: {}, newFiles: [] });
+const DEFAULT_ESCALATION_LADDER = ['sonnet', 'opus'];
+const DEFAULT_ESCALATE_AFTER = 2;
+const DEFAULT_MAX_SPEC_SPEND = 2.00;
+const DEFAULT_HEALTH_URL = 'http://localhost:5000/health';
+const QUIET_CHECKPOINT_REASONS = new Set(['disabled', 'not a git repository', 'no file changes']);
+
+function _resolveEscalationPolicy(context, spec, options) {
+  const config = parseHeartbeatConfig(context || {});
+  const ladder = options.escalationLadder || config.escalationLadder || DEFAULT_ESCALATION_LADDER;
+  return {
+    ladder: ladder.length > 0 ? ladder : DEFAULT_ESCALATION_LADDER,
+    escalateAfter: Math.max(1, options.escalateAfter || config.escalateAfter || DEFAULT_ESCALATE_AFTER),
+    maxSpend: spec.maxCost !== undefined ? spec.maxCost
+      : options.maxSpecSpend !== undefined ? options.maxSpecSpend
+        : config.maxSpecSpend !== undefined ? config.maxSpecSpend : DEFAULT_MAX_SPEC_SPEND,
+  };
+}
+
+function _noteFailure(escalation, iteration, reason, memory) {
+  escalation.failuresOnRung++;
+  if (escalation.failuresOnRung < escalation.escalateAfter) return false;
+  if (escalation.rung >= escalation.ladder.length - 1) return false;
+
+  const from = escalation.ladder[escalation.rung];
+  escalation.rung++;
+  escalation.failuresOnRung = 0;
+  const model = escalation.ladder[escalation.rung];
+  escalation.modelPath.push({ model, fromIteration: iteration + 1, reason });
+  if (memory) memory.logDaily(`Ralph Loop: escalating ${from} → ${model} after ${escalation.escalateAfter} failed attempt(s) (${reason})`);
+  return true;
+}
 
 function _rollbackAndMark(engine, backupInfo, result, memory, reason) {
   const allFiles = [...Object.keys(backupInfo.backups || {}), ...(backupInfo.newFiles || [])];
@@ -21,18 +61,69 @@ function _rollbackAndMark(engine, backupInfo, result, memory, reason) {
   if (memory) memory.logDaily(`Ralph Loop: ${reason}. Rolled back ${allFiles.length} file(s)`);
 }
 
-async function _validateAndRollback(engine, backupInfo, result, spec, memory) {
+function _mergeBackups(target, backupInfo) {
+  const known = new Set(_touchedFiles(target));
+  for (const [filePath, backupPath] of Object.entries(backupInfo.backups || {})) {
+    if (!known.has(filePath)) target.backups[filePath] = backupPath;
+  }
+  for (const filePath of backupInfo.newFiles || []) {
+    if (!known.has(filePath)) target.newFiles.push(filePath);
+  }
+}
+
+function _touchedFiles(backupInfo) {
+  return [...Object.keys(backupInfo.backups || {}), ...(backupInfo.newFiles || [])];
+}
+
+function _collectSyntaxDiagnostics(engine, backupInfo) {
+  const files = _touchedFiles(backupInfo);
+  const diagnostics = [];
+  for (const filePath of files) {
+    if (!fs.existsSync(path.resolve(engine.projectRoot, filePath))) continue;
+    const check = engine.verifySyntax(filePath);
+    if (!check.valid) diagnostics.push(...check.diagnostics.map(d => ({ filePath, ...d })));
+  }
+  return diagnostics;
+}
+
+async function _validateAndRollback(engine, backupInfo, result, spec, memory, validation = {}) {
+  const diagnostics = _collectSyntaxDiagnostics(engine, backupInfo);
+  if (diagnostics.length > 0) {
+    const summary = diagnostics.map(d => `${d.filePath}:${d.line}:${d.column} ${d.message}`).join('; ');
+    _rollbackAndMark(engine, backupInfo, result, memory, `syntax check failed (${summary})`);
+    return { ok: false, reason: `syntax errors: ${summary}`, diagnostics };
+  }
+
+  if (validation.autoFormat !== false) {
+    const style = engine.formatAndLint(_touchedFiles(backupInfo), { before: backupInfo.backups || {} });
+    if (memory && style.warnings.length > 0) memory.logDaily(`Ralph Loop: ${style.warnings.join('; ')}`);
+    if (memory && style.ignored > 0) memory.logDaily(`Ralph Loop: ignored ${style.ignored} lint error(s) already in the touched files`);
+    if (style.diagnostics.length > 0 && validation.lintErrors !== 'warn') {
+      const summary = style.diagnostics.map(d => `${d.filePath}:${d.line}:${d.column} ${d.message}${d.rule ? ` (${d.rule})` : ''}`).join('; ');
+      _rollbackAndMark(engine, backupInfo, result, memory, `lint errors remain after autofix (${summary})`);
+      return { ok: false, reason: `lint errors: ${summary}`, diagnostics: style.diagnostics };
+    }
+  }
+
   if (spec.testCommand) {
-    const testResult = engine.runTests(spec.testCommand);
+    const testResult = engine.runTests(spec.testCommand, {
+      ...validation.tests,
+      changedFiles: _touchedFiles(backupInfo),
+    });
+    if (memory && testResult.selection && testResult.selection.mode === 'impact') {
+      memory.logDaily(`Ralph Loop: ran ${testResult.selection.tests.length} affected test file(s) — ${testResult.selection.reason}`);
+    }
     if (!testResult.passed && !testResult.warning) {
       _rollbackAndMark(engine, backupInfo, result, memory, 'tests failed after changes');
       return { ok: false, reason: 'tests failed' };
     }
   }
 
-  if (spec.runtimeValidation) {
-    const runtimeOk = await _runRuntimeValidation(engine, backupInfo, result, spec, memory);
-    if (!runtimeOk) return { ok: false, reason: 'runtime validation failed' };
+  if (spec.runtimeValidation || (spec.probes && spec.probes.length > 0)) {
+    const runtime = await _runRuntimeValidation(engine, backupInfo, result, spec, memory, validation.isolated);
+    if (!runtime.ok) {
+      return { ok: false, reason: `runtime validation failed: ${runtime.reason}`, diagnostics: runtime.diagnostics, guidance: runtime.guidance };
+    }
   }
 
   return { ok: true };
@@ -47,15 +138,6 @@ async function _applySingleChange(engine, execResult, result, memory) {
     return { success: false, backups: EMPTY_BACKUP };
   }
 
-  const syntaxCheck = engine.verifySyntax(filePath);
-  if (!syntaxCheck.valid) {
-    if (applyResult.backupPath) engine.rollback(filePath, applyResult.backupPath);
-    const reason = `Syntax error after change: ${syntaxCheck.issues.join(', ')}`;
-    result.changes.push({ filePath, applied: false, reason, rolledBack: true });
-    if (memory) memory.logDaily(`Ralph Loop: syntax check failed for ${filePath}: ${syntaxCheck.issues.join(', ')} — rolled back`);
-    return { success: false, backups: EMPTY_BACKUP };
-  }
-
   result.changes.push({ filePath, applied: true, backupPath: applyResult.backupPath, description, fuzzyMatched: applyResult.fuzzyMatched || false });
 
   return {
@@ -64,8 +146,33 @@ async function _applySingleChange(engine, execResult, result, memory) {
   };
 }
 
+function _applyPatchChange(engine, execResult, result, memory) {
+  const patchResult = engine.applyPatch(execResult.patch);
+
+  for (const file of patchResult.files) {
+    result.changes.push(patchResult.applied
+      ? { filePath: file.filePath, applied: true, created: file.created, deleted: file.deleted, description: execResult.description, hunks: file.hunks }
+      : { filePath: file.filePath, applied: false, reason: file.reason || 'not applied — another file in the patch was rejected', hunks: file.hunks });
+  }
+
+  if (!patchResult.applied) {
+    if (memory) memory.logDaily(`Ralph Loop: patch rejected — ${patchResult.reason}`);
+    return { success: false, reason: patchResult.reason, backups: EMPTY_BACKUP };
+  }
+
+  const shifted = patchResult.files.flatMap(f => f.hunks).filter(h => h.offset !== 0 || h.fuzzy).length;
+  if (memory && shifted > 0) memory.logDaily(`Ralph Loop: patch applied with ${shifted} hunk(s) at an offset or whitespace-fuzzy`);
+  return { success: true, backups: patchResult.backups };
+}
+
 async function _applyMultiFileChanges(engine, changes, result, memory) {
-  const backupInfo = engine.backupMultiple(changes.map(c => c.filePath));
+  let backupInfo;
+  try {
+    backupInfo = engine.backupMultiple(changes.map(c => c.filePath));
+  } catch (err) {
+    result.changes.push({ filePath: changes[0] && changes[0].filePath, applied: false, reason: err.message });
+    return { success: false, backups: EMPTY_BACKUP };
+  }
   const appliedFiles = [];
 
   for (const change of changes) {
@@ -80,13 +187,6 @@ async function _applyMultiFileChanges(engine, changes, result, memory) {
       return { success: false, backups: backupInfo };
     }
 
-    const syntaxCheck = engine.verifySyntax(filePath);
-    if (!syntaxCheck.valid) {
-      _rollbackAndMark(engine, backupInfo, result, memory, `multi-file syntax check failed on ${filePath}: ${syntaxCheck.issues.join(', ')}`);
-      result.changes.push({ filePath, applied: false, reason: `Syntax error: ${syntaxCheck.issues.join(', ')}`, atomicRollback: true });
-      return { success: false, backups: backupInfo };
-    }
-
     appliedFiles.push(filePath);
     result.changes.push({ filePath, applied: true, backupPath: backupInfo.backups[filePath], description, fuzzyMatched: applyResult.fuzzyMatched || false });
   }
@@ -94,11 +194,45 @@ async function _applyMultiFileChanges(engine, changes, result, memory) {
   return { success: true, backups: backupInfo };
 }
 
-async function _runRuntimeValidation(engine, backupInfo, result, spec, memory) {
+function _runtimeProbes(engine, spec, backupInfo) {
+  let index = null;
+  try { index = buildDependencyIndex(engine.projectRoot); } catch {}
+  return deriveProbes(spec, index, { projectRoot: engine.projectRoot, changedFiles: _touchedFiles(backupInfo) });
+}
+
+function _recordProbes(result, runtimeResult, memory) {
+  if (!runtimeResult.probes) return;
+  result.probes = runtimeResult.probes;
+  if (!memory) return;
+  for (const probe of runtimeResult.probes) {
+    const outcome = probe.skipped ? `skipped (${probe.reason})` : probe.passed ? `ok (${probe.status})` : `FAILED — ${probe.reason}`;
+    memory.logDaily(`Ralph Loop: probe ${probe.name} ${outcome}`);
+  }
+}
+
+function _recordCrashes(runtimeResult, spec, memory) {
+  const crashes = runtimeResult.crashes || [];
+  if (!memory) return crashes;
+  for (const crash of crashes) {
+    memory.logDaily(`Ralph Loop: ${crash.fatal ? 'fatal' : 'non-fatal'} ${crash.category} (${crash.severity}) in app output — ${crash.message}`);
+    if (typeof memory.appendErrorLog !== 'function') continue;
+    try {
+      memory.appendErrorLog(toErrorLogEntry(crash, { specId: spec.id || null }));
+    } catch {}
+  }
+  return crashes;
+}
+
+async function _runRuntimeValidation(engine, backupInfo, result, spec, memory, isolated) {
   const config = spec.runtimeValidation || {};
-  const healthUrl = config.healthUrl || 'http://localhost:5000/health';
   const startCommand = config.startCommand || null;
   const timeoutMs = config.timeoutMs || 15000;
+  if (isolated && !startCommand) return { ok: true };
+
+  const port = isolated ? await findFreePort() : null;
+  const healthUrl = port ? withPort(config.healthUrl || DEFAULT_HEALTH_URL, port) : config.healthUrl || DEFAULT_HEALTH_URL;
+  const baseUrl = config.baseUrl && port ? withPort(config.baseUrl, port) : config.baseUrl;
+  const probes = _runtimeProbes(engine, spec, backupInfo);
 
   let runtimeResult;
   if (startCommand) {
@@ -106,22 +240,79 @@ async function _runRuntimeValidation(engine, backupInfo, result, spec, memory) {
     if (!cmdCheck.allowed) {
       _rollbackAndMark(engine, backupInfo, result, memory, `startCommand blocked: ${cmdCheck.reason}`);
       result.changes.push({ runtimeCheck: false, reason: `startCommand blocked by security policy: ${cmdCheck.reason}`, rolledBack: true });
-      return false;
+      return { ok: false, reason: `startCommand blocked: ${cmdCheck.reason}` };
     }
-    runtimeResult = await engine.verifyRuntimeWithProcess({ startCommand, healthUrl, crashWatchMs: 5000, healthTimeoutMs: timeoutMs });
+    runtimeResult = await engine.verifyRuntimeWithProcess({
+      startCommand, healthUrl, baseUrl, probes, crashWatchMs: 5000, healthTimeoutMs: timeoutMs,
+      env: port ? { PORT: String(port) } : undefined,
+    });
   } else {
-    runtimeResult = await engine.verifyRuntime({ healthUrl, timeoutMs });
+    runtimeResult = await engine.verifyRuntime({ healthUrl, baseUrl, probes, timeoutMs });
   }
+  _recordProbes(result, runtimeResult, memory);
+  const crashes = _recordCrashes(runtimeResult, spec, memory);
 
   if (!runtimeResult.healthy) {
     const reason = runtimeResult.reason + (runtimeResult.errors ? ': ' + runtimeResult.errors.slice(0, 2).join('; ') : '');
     _rollbackAndMark(engine, backupInfo, result, memory, `runtime validation failed — ${reason}`);
-    result.changes.push({ runtimeCheck: false, reason, rolledBack: true });
-    return false;
+    result.changes.push({ runtimeCheck: false, reason, probes: runtimeResult.probes, crashes, rolledBack: true });
+    const diagnostics = [
+      ...crashes.map(c => ({
+        category: c.category,
+        severity: c.severity,
+        rule: c.rule,
+        message: c.message,
+        filePath: c.location ? c.location.file : undefined,
+        line: c.location ? c.location.line : undefined,
+        column: c.location ? c.location.column : undefined,
+      })),
+      ...(runtimeResult.probes || []).filter(p => !p.passed).map(p => ({ probe: p.name, url: p.url, status: p.status, message: p.reason })),
+    ];
+    const guidance = crashGuidance(crashes);
+    return {
+      ok: false,
+      reason,
+      diagnostics: diagnostics.length > 0 ? diagnostics : undefined,
+      guidance: guidance.length > 0 ? guidance : undefined,
+    };
   }
 
-  if (memory) memory.logDaily(`Ralph Loop: runtime validation passed (status ${runtimeResult.statusCode})`);
-  return true;
+  const probeNote = runtimeResult.probes ? `, ${runtimeResult.probes.filter(p => p.passed && !p.skipped).length}/${runtimeResult.probes.length} probe(s) passed` : '';
+  if (memory) memory.logDaily(`Ralph Loop: runtime validation passed (status ${runtimeResult.statusCode}${probeNote})`);
+  return { ok: true };
+}
+
+async function _promoteFromSandbox(sandbox, engine, liveEngine, backupInfo, result, spec, memory, meta) {
+  liveEngine.beginTransaction({ ...meta, sandbox: sandbox.dir });
+  try {
+    const promotion = promoteChanges(sandbox, liveEngine, backupInfo);
+    let reason = promotion.promoted ? null : promotion.reason;
+
+    const hasProbes = spec.probes && spec.probes.length > 0;
+    const config = spec.runtimeValidation || (hasProbes ? {} : null);
+    if (!reason && config && !config.startCommand) {
+      const runtimeResult = await liveEngine.verifyRuntime({
+        healthUrl: config.healthUrl || DEFAULT_HEALTH_URL,
+        baseUrl: config.baseUrl,
+        probes: _runtimeProbes(liveEngine, spec, backupInfo),
+        timeoutMs: config.timeoutMs || 15000,
+      });
+      _recordProbes(result, runtimeResult, memory);
+      if (!runtimeResult.healthy) reason = `live runtime check failed after promotion — ${runtimeResult.reason}`;
+    }
+
+    if (reason) {
+      liveEngine.rollbackTransaction();
+      _rollbackAndMark(engine, backupInfo, result, memory, `promotion from sandbox aborted (${reason})`);
+      return { ok: false, reason };
+    }
+
+    liveEngine.commitTransaction();
+    if (memory) memory.logDaily(`Ralph Loop: promoted ${promotion.files.length} file(s) from sandbox — ${promotion.files.join(', ')}`);
+    return { ok: true, backups: promotion.backups };
+  } finally {
+    if (liveEngine.transaction) liveEngine.rollbackTransaction();
+  }
 }
 
 async function executeRalphLoop(specPath, context, budget, options = {}) {
@@ -131,11 +322,24 @@ async function executeRalphLoop(specPath, context, budget, options = {}) {
   const memory = options.memory || null;
   const dryRun = options.dryRun || false;
 
-  const engine = new CodeEngine({
+  const agentsContext = context && context.agents ? context.agents : null;
+  const crashConfig = loadCrashRules(dataDir);
+  if (memory && crashConfig.errors.length > 0) {
+    memory.logDaily(`Ralph Loop: ignored invalid crash pattern rule(s) — ${crashConfig.errors.join('; ')}`);
+  }
+  const policyConfig = usePolicy(dataDir);
+  if (memory && policyConfig.errors.length > 0) {
+    memory.logDaily(`Ralph Loop: invalid policy.json, using the default policy — ${policyConfig.errors.join('; ')}`);
+  }
+  const liveEngine = new CodeEngine({
     projectRoot,
+    dataDir,
     backupsDir: path.join(dataDir, 'backups'),
-    agentsContext: context && context.agents ? context.agents : null,
+    agentsContext,
+    crashRules: crashConfig.rules,
+    policy: policyConfig.policy,
   });
+  let engine = liveEngine;
 
   let spec;
   try {
@@ -145,11 +349,63 @@ async function executeRalphLoop(specPath, context, budget, options = {}) {
   }
 
   const result = { status: 'pending', iterations: 0, specPath, changes: [] };
+  const specId = spec.id || path.basename(specPath, '.json');
+
+  let sandbox = null;
+  if (!dryRun && shouldIsolate(spec, parseHeartbeatConfig(context || {}))) {
+    try {
+      sandbox = createSandbox(projectRoot, specId);
+      engine = new CodeEngine({ projectRoot: sandbox.dir, backupsDir: sandbox.backupsDir, agentsContext, crashRules: crashConfig.rules, policy: policyConfig.policy, auditDir: dataDir });
+      result.isolated = true;
+      if (memory) memory.logDaily(`Ralph Loop: running ${specId} in isolated sandbox ${sandbox.dir}`);
+    } catch (err) {
+      // These are the auth/payments-style specs isolation exists for, so never fall back to the live tree
+      destroySandbox(sandbox);
+      result.status = 'failed';
+      result.reason = `isolation required but the sandbox could not be created: ${err.message}`;
+      if (memory) memory.logDaily(`Ralph Loop: ${specId} not run — ${result.reason}`);
+      _moveSpec(specPath, result.status, dataDir, { status: result.status, reason: result.reason, iterations: 0 });
+      return result;
+    }
+  }
+  const heartbeatConfig = parseHeartbeatConfig(context || {});
+  const validationOptions = {
+    isolated: !!sandbox,
+    autoFormat: heartbeatConfig.autoFormat,
+    lintErrors: heartbeatConfig.lintErrors,
+    tests: {
+      mode: spec.testSelection || heartbeatConfig.testSelection || 'impact',
+      fullSuiteEvery: heartbeatConfig.fullSuiteEvery,
+      dataDir,
+    },
+  };
+  const specRadius = createTracker('spec', heartbeatConfig.blastRadius && heartbeatConfig.blastRadius.spec);
+  const radiusTrackers = spec.blastRadius && spec.blastRadius.approvedAt ? [] : [specRadius, options.blastRadius].filter(Boolean);
+  const cycleUsage = snapshotUsage(options.blastRadius);
+  const appliedBackups = { backups: {}, newFiles: [] };
   const iterationHistory = [];
   let consecutiveStuck = 0;
   const MAX_CONSECUTIVE_STUCK = 3;
 
+  const policy = _resolveEscalationPolicy(context, spec, options);
+  const escalation = {
+    ladder: policy.ladder,
+    escalateAfter: policy.escalateAfter,
+    rung: 0,
+    failuresOnRung: 0,
+    modelPath: [{ model: policy.ladder[0], fromIteration: 1, reason: 'initial' }],
+  };
+  const spentAtStart = budget ? budget.spent || 0 : 0;
+  const specCost = () => (budget ? (budget.spent || 0) - spentAtStart : 0);
+
   for (let i = 0; i < maxIterations; i++) {
+    if (specCost() >= policy.maxSpend) {
+      result.status = 'cost-capped';
+      result.reason = `Per-spec spend cap reached ($${specCost().toFixed(4)} of $${policy.maxSpend})`;
+      if (memory) memory.logDaily(`Ralph Loop: ${result.reason} — ${spec.filePath || 'unknown'}`);
+      break;
+    }
+
     result.iterations++;
 
     try {
@@ -160,11 +416,23 @@ async function executeRalphLoop(specPath, context, budget, options = {}) {
       break;
     }
 
-    const execResult = await executeSpec(spec, {
-      context, budget, memory, dryRun, projectRoot,
-      apiKey: options.apiKey, identityDir: options.identityDir, templatesDir: options.templatesDir,
-      iterationHistory,
-    });
+    const model = escalation.ladder[escalation.rung];
+    let execResult;
+    try {
+      execResult = await executeSpec(spec, {
+        context, budget, memory, dryRun, dataDir,
+        projectRoot: engine.projectRoot,
+        apiKey: options.apiKey, identityDir: options.identityDir, templatesDir: options.templatesDir,
+        iterationHistory,
+        specId,
+        model,
+        contextScale: escalation.rung + 1,
+        fullHistory: escalation.rung > 0,
+      });
+    } catch (err) {
+      destroySandbox(sandbox);
+      throw err;
+    }
 
     if (execResult.status === 'SPEC_COMPLETE') {
       result.status = 'completed';
@@ -172,14 +440,27 @@ async function executeRalphLoop(specPath, context, budget, options = {}) {
       break;
     }
 
+    if (execResult.status === 'stuck' && execResult.reason === 'spend-cap-reached') {
+      result.status = 'spend-capped';
+      result.reason = 'Daily, weekly or monthly spend cap reached';
+      if (memory) memory.logDaily(`Ralph Loop: ${result.reason} — ${spec.filePath || 'unknown'}`);
+      break;
+    }
+
     if (execResult.status === 'stuck') {
       consecutiveStuck++;
       iterationHistory.push({
         iteration: result.iterations,
+        model,
         status: 'stuck',
         reason: execResult.reason || 'unknown',
       });
 
+      if (_noteFailure(escalation, result.iterations, `stuck: ${execResult.reason || 'unknown'}`, memory)) {
+        consecutiveStuck = 0;
+        continue;
+      }
+
       if (consecutiveStuck >= MAX_CONSECUTIVE_STUCK) {
         result.status = 'stuck';
         result.reason = `${execResult.reason || 'unknown'} (after ${consecutiveStuck} consecutive stuck attempts)`;
@@ -195,74 +476,161 @@ async function executeRalphLoop(specPath, context, budget, options = {}) {
 
     if (execResult.status === 'dry-run') { result.status = 'dry-run'; break; }
 
-    let changeBackups = EMPTY_BACKUP;
-    let historyStatus = 'change-applied';
-    let historyExtra = {};
+    const secretScan = scanPayload(execResult, { policy: policyConfig.policy });
+    if (!secretScan.clean) {
+      const reason = `secret in proposed code — ${describeFindings(secretScan.findings)}. Read it from process.env instead of hardcoding it`;
+      recordSecretBlock(dataDir, { source: 'ralph-loop', specId, iteration: result.iterations, findings: secretScan.findings });
+      result.changes.push({ applied: false, reason, secrets: secretScan.findings });
+      iterationHistory.push({ iteration: result.iterations, model, status: 'secret-blocked', reason });
+      if (memory) memory.logDaily(`Ralph Loop: blocked ${secretScan.findings.length} secret(s) in proposed code — ${describeFindings(secretScan.findings)}`);
+      _noteFailure(escalation, result.iterations, 'secret in proposed code', memory);
+      continue;
+    }
 
-    if (execResult.status === 'create') {
-      const createResult = await engine.createFile(execResult.filePath, execResult.content);
-      if (!createResult.success) {
-        result.changes.push({ filePath: execResult.filePath, applied: false, reason: createResult.error });
-        iterationHistory.push({ iteration: result.iterations, status: 'create-failed', reason: createResult.error });
-        continue;
-      }
-      result.changes.push({ filePath: execResult.filePath, applied: true, created: true, description: execResult.description });
-      changeBackups = { backups: {}, newFiles: [execResult.filePath] };
-      historyStatus = 'created';
-      historyExtra = { filesCreated: [execResult.filePath] };
+    const radius = measureChange(execResult);
+    const exceeded = radiusTrackers.flatMap(t => exceededLimits(t, radius));
+    if (exceeded.length > 0) {
+      result.status = 'needs-approval';
+      result.reason = `blast radius — ${describeExceeded(exceeded)}`;
+      result.blastRadius = {
+        reason: result.reason,
+        exceeded,
+        proposal: { status: execResult.status, lines: radius.lines, files: radius.files, created: radius.created, deleted: radius.deleted },
+      };
+      if (memory) memory.logDaily(`Ralph Loop: ${specId} moved to the pending queue for owner approval — ${result.reason}`);
+      break;
+    }
 
-    } else if (execResult.status === 'multi-create' && Array.isArray(execResult.files)) {
-      const createdFiles = [];
-      let createFailed = false;
+    engine.beginTransaction({ specId, iteration: result.iterations, status: execResult.status });
+    try {
+      let changeBackups = EMPTY_BACKUP;
+      let historyStatus = 'change-applied';
+      let historyExtra = {};
 
-      for (const file of execResult.files) {
-        const createResult = await engine.createFile(file.filePath, file.content);
+      if (execResult.status === 'create') {
+        const createResult = await engine.createFile(execResult.filePath, execResult.content);
         if (!createResult.success) {
-          for (const prev of createdFiles) await engine.deleteFile(prev);
-          result.changes.push({ filePath: file.filePath, applied: false, reason: createResult.error, atomicRollback: createdFiles.length > 0 });
-          if (memory) memory.logDaily(`Ralph Loop: multi-create failed on ${file.filePath}: ${createResult.error} — rolled back ${createdFiles.length} file(s)`);
-          iterationHistory.push({ iteration: result.iterations, status: 'create-failed', reason: `multi-create failed on ${file.filePath}: ${createResult.error}` });
-          createFailed = true;
-          break;
+          result.changes.push({ filePath: execResult.filePath, applied: false, reason: createResult.error });
+          iterationHistory.push({
+            iteration: result.iterations,
+            model,
+            status: 'create-failed',
+            reason: createResult.error,
+            diagnostics: createResult.diagnostics && createResult.diagnostics.map(d => ({ filePath: execResult.filePath, ...d })),
+          });
+          _noteFailure(escalation, result.iterations, `create failed: ${createResult.error}`, memory);
+          continue;
+        }
+        result.changes.push({ filePath: execResult.filePath, applied: true, created: true, description: execResult.description });
+        changeBackups = { backups: {}, newFiles: [execResult.filePath] };
+        historyStatus = 'created';
+        historyExtra = { filesCreated: [execResult.filePath] };
+
+      } else if (execResult.status === 'multi-create' && Array.isArray(execResult.files)) {
+        const createdFiles = [];
+        let createFailed = false;
+
+        for (const file of execResult.files) {
+          const createResult = await engine.createFile(file.filePath, file.content);
+          if (!createResult.success) {
+            for (const prev of createdFiles) await engine.deleteFile(prev);
+            result.changes.push({ filePath: file.filePath, applied: false, reason: createResult.error, atomicRollback: createdFiles.length > 0 });
+            if (memory) memory.logDaily(`Ralph Loop: multi-create failed on ${file.filePath}: ${createResult.error} — rolled back ${createdFiles.length} file(s)`);
+            iterationHistory.push({
+              iteration: result.iterations,
+              model,
+              status: 'create-failed',
+              reason: `multi-create failed on ${file.filePath}: ${createResult.error}`,
+              diagnostics: createResult.diagnostics && createResult.diagnostics.map(d => ({ filePath: file.filePath, ...d })),
+            });
+            createFailed = true;
+            break;
+          }
+          createdFiles.push(file.filePath);
+          result.changes.push({ filePath: file.filePath, applied: true, created: true, description: file.description });
         }
-        createdFiles.push(file.filePath);
-        result.changes.push({ filePath: file.filePath, applied: true, created: true, description: file.description });
-      }
 
-      if (createFailed) continue;
+        if (createFailed) {
+          _noteFailure(escalation, result.iterations, 'multi-create failed', memory);
+          continue;
+        }
 
-      changeBackups = { backups: {}, newFiles: createdFiles };
-      historyStatus = 'created';
-      historyExtra = { filesCreated: createdFiles };
+        changeBackups = { backups: {}, newFiles: createdFiles };
+        historyStatus = 'created';
+        historyExtra = { filesCreated: createdFiles };
 
-    } else if (execResult.status === 'multi-change' && Array.isArray(execResult.changes)) {
-      const multiResult = await _applyMultiFileChanges(engine, execResult.changes, result, memory);
-      if (!multiResult.success) continue;
-      changeBackups = multiResult.backups;
-      historyExtra = { changeDescription: execResult.changes.map(c => c.description).join('; ') };
+      } else if (execResult.status === 'multi-change' && Array.isArray(execResult.changes)) {
+        const multiResult = await _applyMultiFileChanges(engine, execResult.changes, result, memory);
+        if (!multiResult.success) {
+          _noteFailure(escalation, result.iterations, 'multi-change could not be applied', memory);
+          continue;
+        }
+        changeBackups = multiResult.backups;
+        historyExtra = { changeDescription: execResult.changes.map(c => c.description).join('; ') };
+
+      } else if (execResult.status === 'patch') {
+        const patchResult = _applyPatchChange(engine, execResult, result, memory);
+        if (!patchResult.success) {
+          iterationHistory.push({ iteration: result.iterations, model, status: 'patch-failed', reason: patchResult.reason });
+          _noteFailure(escalation, result.iterations, 'patch rejected', memory);
+          continue;
+        }
+        changeBackups = patchResult.backups;
+        historyExtra = { changeDescription: execResult.description || 'applied patch' };
+
+      } else if (execResult.status === 'change') {
+        const singleResult = await _applySingleChange(engine, execResult, result, memory);
+        if (!singleResult.success) {
+          _noteFailure(escalation, result.iterations, 'change could not be applied', memory);
+          continue;
+        }
+        changeBackups = singleResult.backups;
+        historyExtra = { changeDescription: execResult.description || 'applied' };
 
-    } else if (execResult.status === 'change') {
-      const singleResult = await _applySingleChange(engine, execResult, result, memory);
-      if (!singleResult.success) continue;
-      changeBackups = singleResult.backups;
-      historyExtra = { changeDescription: execResult.description || 'applied' };
+      } else {
+        continue;
+      }
 
-    } else {
-      continue;
-    }
+      const validation = await _validateAndRollback(engine, changeBackups, result, spec, memory, validationOptions);
+      if (!validation.ok) {
+        iterationHistory.push({
+          iteration: result.iterations,
+          model,
+          status: `${historyStatus === 'created' ? 'create' : 'change'}-failed`,
+          reason: validation.reason,
+          diagnostics: validation.diagnostics,
+          guidance: validation.guidance,
+        });
+        _noteFailure(escalation, result.iterations, validation.reason, memory);
+        continue;
+      }
 
-    const validation = await _validateAndRollback(engine, changeBackups, result, spec, memory);
-    if (!validation.ok) {
-      iterationHistory.push({ iteration: result.iterations, status: `${historyStatus === 'created' ? 'create' : 'change'}-failed`, reason: validation.reason });
-      continue;
-    }
+      let liveBackups = changeBackups;
+      if (sandbox) {
+        const promotion = await _promoteFromSandbox(sandbox, engine, liveEngine, changeBackups, result, spec, memory, { specId, iteration: result.iterations });
+        if (!promotion.ok) {
+          iterationHistory.push({ iteration: result.iterations, model, status: 'promote-failed', reason: promotion.reason });
+          _noteFailure(escalation, result.iterations, promotion.reason, memory);
+          continue;
+        }
+        liveBackups = promotion.backups;
+      }
 
-    iterationHistory.push({ iteration: result.iterations, status: historyStatus, ...historyExtra });
-    if (memory) {
-      const desc = historyExtra.filesCreated
-        ? `created ${historyExtra.filesCreated.length} file(s): ${historyExtra.filesCreated.join(', ')}`
-        : historyExtra.changeDescription || 'applied changes';
-      memory.logDaily(`Ralph Loop: ${desc}`);
+      engine.commitTransaction();
+      _mergeBackups(appliedBackups, liveBackups);
+      for (const tracker of [specRadius, options.blastRadius]) recordUsage(tracker, radius);
+      iterationHistory.push({ iteration: result.iterations, model, status: historyStatus, ...historyExtra });
+      if (memory) {
+        const desc = historyExtra.filesCreated
+          ? `created ${historyExtra.filesCreated.length} file(s): ${historyExtra.filesCreated.join(', ')}`
+          : historyExtra.changeDescription || 'applied changes';
+        memory.logDaily(`Ralph Loop: ${desc}`);
+      }
+    } finally {
+      if (engine.transaction) {
+        const undo = engine.rollbackTransaction();
+        if (memory && undo.errors.length > 0) memory.logDaily(`Ralph Loop: transaction rollback incomplete — ${undo.errors.join('; ')}`);
+      }
     }
   }
 
@@ -271,20 +639,86 @@ async function executeRalphLoop(specPath, context, budget, options = {}) {
     result.reason = `Exhausted ${maxIterations} iterations without completion`;
   }
 
-  _moveSpec(specPath, result.status, dataDir);
-  engine.cleanupOldBackups(50);
+  result.cost = specCost();
+  result.escalation = {
+    ladder: escalation.ladder,
+    modelPath: escalation.modelPath,
+    finalModel: escalation.ladder[escalation.rung],
+  };
+
+  if (result.status === 'completed') {
+    result.checkpoint = createCheckpoint({
+      projectRoot,
+      dataDir,
+      spec,
+      specId,
+      changes: result.changes,
+      execution: { cost: result.cost, iterations: result.iterations, modelPath: escalation.modelPath },
+      mode: options.gitCheckpoints || parseHeartbeatConfig(context || {}).gitCheckpoints || 'commit',
+    });
+    if (memory && result.checkpoint.committed) {
+      memory.logDaily(`Ralph Loop: checkpoint ${result.checkpoint.commit.slice(0, 10)} on ${result.checkpoint.branch} — ${result.checkpoint.files.join(', ')}`);
+    } else if (memory && !QUIET_CHECKPOINT_REASONS.has(result.checkpoint.reason)) {
+      memory.logDaily(`Ralph Loop: no git checkpoint — ${result.checkpoint.reason}`);
+    }
+  }
+
+  if (result.status === 'needs-approval') {
+    // Held specs go back to the owner unapplied: undo the iterations that already landed
+    _rollbackAndMark(liveEngine, appliedBackups, result, memory, `${specId} held for approval — undid its earlier iterations`);
+    if (cycleUsage) Object.assign(options.blastRadius, cycleUsage);
+    _holdSpec(specPath, dataDir, result.blastRadius);
+    liveEngine.cleanupOldBackups(heartbeatConfig.backupRetention);
+    destroySandbox(sandbox);
+    return result;
+  }
+
+  _moveSpec(specPath, result.status, dataDir, {
+    status: result.status,
+    reason: result.reason,
+    iterations: result.iterations,
+    cost: result.cost,
+    modelPath: escalation.modelPath,
+    checkpoint: result.checkpoint && result.checkpoint.committed
+      ? { commit: result.checkpoint.commit, branch: result.checkpoint.branch, files: result.checkpoint.files }
+      : undefined,
+    probes: result.probes,
+  });
+  liveEngine.cleanupOldBackups(heartbeatConfig.backupRetention);
+  destroySandbox(sandbox);
 
   return result;
 }
 
-function _moveSpec(specPath, status, dataDir) {
+function _moveSpec(specPath, status, dataDir, execution) {
   const destDir = path.join(dataDir, status === 'completed' ? 'completed' : 'failed');
   try {
     if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
     const destPath = path.join(destDir, path.basename(specPath));
-    fs.copyFileSync(specPath, destPath);
+    let written = false;
+    if (execution) {
+      try {
+        const spec = JSON.parse(fs.readFileSync(specPath, 'utf-8'));
+        spec.execution = { ...execution, finishedAt: new Date().toISOString() };
+        fs.writeFileSync(destPath, JSON.stringify(spec, null, 2));
+        written = true;
+      } catch {}
+    }
+    if (!written) fs.copyFileSync(specPath, destPath);
+    fs.unlinkSync(specPath);
+  } catch {}
+}
+
+function _holdSpec(specPath, dataDir, blastRadius) {
+  const pendingDir = path.join(dataDir, 'queue', 'pending');
+  try {
+    fs.mkdirSync(pendingDir, { recursive: true });
+    const spec = JSON.parse(fs.readFileSync(specPath, 'utf-8'));
+    spec.blockedCategory = 'blast-radius';
+    spec.blastRadius = { ...blastRadius, heldAt: new Date().toISOString() };
+    fs.writeFileSync(path.join(pendingDir, path.basename(specPath)), JSON.stringify(spec, null, 2));
     fs.unlinkSync(specPath);
   } catch {}
 }
 
-module.exports = { executeRalphLoop, _moveSpec };
+module.exports = { executeRalphLoop, _moveSpec, _holdSpec };
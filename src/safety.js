@@ -2,112 +2,135 @@
 
 const path = require('path');
 const { IDENTITY_FILES } = require('./security');
+const { matchGlob, _splitTopLevel } = require('./glob');
+const { POLICY_FILE, getPolicy } = require('./policy');
 
-function isPathSafe(filePath, agentsContext) {
+const SAFE_HEADING = /^#{2,}\s*Safe to Auto-Modify\s*$/i;
+const PROTECTED_HEADING = /^#{2,}\s*(?:Never\s+(?:Auto-)?Modify|Protected|Do Not\s+(?:Auto-)?Modify)\s*$/i;
+
+function isPathSafe(filePath, agentsContext, policy) {
+  const { safe, reason } = explainPath(filePath, agentsContext, policy);
+  return { safe, reason };
+}
+
+function explainPath(filePath, agentsContext, policy = getPolicy()) {
   if (!filePath || typeof filePath !== 'string') {
-    return { safe: false, reason: 'Invalid or empty file path' };
+    return { safe: false, reason: 'Invalid or empty file path', rule: null, checks: [] };
   }
 
   const normalized = path.normalize(filePath);
+  const verdict = (safe, reason, rule = null, checks = []) => ({ path: normalized, safe, reason, rule, checks });
 
   if (normalized.includes('..')) {
-    return { safe: false, reason: 'Path traversal (..) is blocked' };
+    return verdict(false, 'Path traversal (..) is blocked');
+  }
+
+  if (path.isAbsolute(normalized) || path.win32.isAbsolute(normalized)) {
+    return verdict(false, 'Absolute paths are blocked — use a path relative to the project root');
   }
 
   const basename = path.basename(normalized);
   if (IDENTITY_FILES.includes(basename)) {
-    return { safe: false, reason: `Identity file '${basename}' is always protected` };
+    return verdict(false, `Identity file '${basename}' is always protected`);
   }
 
   if (IDENTITY_FILES.includes(normalized)) {
-    return { safe: false, reason: `Identity file '${normalized}' is always protected` };
+    return verdict(false, `Identity file '${normalized}' is always protected`);
   }
 
-  const { safePaths, protectedPaths } = _parseAgentsSections(agentsContext);
+  if (normalized.replace(/\\/g, '/') === `.sneebly/${POLICY_FILE}`) {
+    return verdict(false, `Policy file '${normalized}' is always protected`);
+  }
 
-  for (const pattern of protectedPaths) {
-    if (_matchGlob(normalized, pattern)) {
-      return { safe: false, reason: `Path '${normalized}' matches protected pattern '${pattern}'` };
-    }
+  const rules = pathRules(agentsContext, policy);
+  const checks = rules.map(rule => ({ ...rule, matched: matchGlob(normalized, rule.pattern.replace(/^!/, '')) }));
+  const find = (section, negated) => checks.find(c => c.section === section && c.matched && c.pattern.startsWith('!') === negated) || null;
+
+  const protectedRule = find('protected', false);
+  const protectedException = protectedRule && find('protected', true);
+  if (protectedRule && !protectedException) {
+    return verdict(false, `Path '${normalized}' matches protected pattern '${protectedRule.pattern}'`, protectedRule, checks);
   }
 
-  for (const pattern of safePaths) {
-    if (_matchGlob(normalized, pattern)) {
-      return { safe: true, reason: `Path '${normalized}' matches safe pattern '${pattern}'` };
-    }
+  const lifted = protectedException ? ` (protected pattern '${protectedRule.pattern}' is lifted by '${protectedException.pattern}')` : '';
+  const safeRule = find('safe', false);
+  const safeExclusion = safeRule && find('safe', true);
+  if (safeRule && safeExclusion) {
+    return verdict(false, `Path '${normalized}' matches safe pattern '${safeRule.pattern}' but is excluded by '${safeExclusion.pattern}'`, safeExclusion, checks);
+  }
+  if (safeRule) {
+    return verdict(true, `Path '${normalized}' matches safe pattern '${safeRule.pattern}'${lifted}`, safeRule, checks);
   }
 
-  return { safe: false, reason: `Path '${normalized}' not in any safe pattern` };
+  return verdict(false, `Path '${normalized}' not in any safe pattern${lifted}`, null, checks);
 }
 
-function _parseAgentsSections(agentsContext) {
-  const result = { safePaths: [], protectedPaths: [] };
-
-  if (!agentsContext || !agentsContext.content) {
-    return result;
-  }
+function pathRules(agentsContext, policy = getPolicy()) {
+  const { writes } = policy;
+  return [
+    ...writes.protectedPaths.map(pattern => ({ section: 'protected', pattern, source: POLICY_FILE, line: null })),
+    ...writes.safePaths.map(pattern => ({ section: 'safe', pattern, source: POLICY_FILE, line: null })),
+    ...(writes.useAgentsMd === false ? [] : _parseAgentsRules(agentsContext)),
+  ];
+}
 
-  const content = agentsContext.content;
+function pathSections(agentsContext, policy) {
+  return _sections(pathRules(agentsContext, policy));
+}
 
-  const safeSection = content.match(/##\s*Safe to Auto-Modify\s*\n([\s\S]*?)(?=\n##|$)/i);
-  if (safeSection) {
-    result.safePaths = _extractPaths(safeSection[1]);
-  }
+function _parseAgentsSections(agentsContext) {
+  return _sections(_parseAgentsRules(agentsContext));
+}
 
-  const protectedSection = content.match(/##\s*(?:Never\s+(?:Auto-)?Modify|Protected|Do Not\s+(?:Auto-)?Modify)\s*\n([\s\S]*?)(?=\n##|$)/i);
-  if (protectedSection) {
-    result.protectedPaths = _extractPaths(protectedSection[1]);
-  }
+function _sections(rules) {
+  return {
+    safePaths: rules.filter(r => r.section === 'safe').map(r => r.pattern),
+    protectedPaths: rules.filter(r => r.section === 'protected').map(r => r.pattern),
+  };
+}
 
-  return result;
+function _parseAgentsRules(agentsContext) {
+  if (!agentsContext || !agentsContext.content) return [];
+
+  const rules = [];
+  let section = null;
+  let fenced = false;
+  agentsContext.content.split('\n').forEach((raw, i) => {
+    const line = raw.trim();
+    if (line.startsWith('```')) { fenced = !fenced; return; }
+    if (line.startsWith('##') && !fenced) {
+      section = SAFE_HEADING.test(line) ? 'safe' : PROTECTED_HEADING.test(line) ? 'protected' : null;
+      return;
+    }
+    if (!section || line.startsWith('#')) return;
+    for (const pattern of _extractPaths(line)) rules.push({ section, pattern, source: 'AGENTS.md', line: i + 1 });
+  });
+  return rules;
 }
 
-function _extractPaths(section) {
-  return section
-    .split('\n')
-    .map(line => line.replace(/^[-*]\s*/, '').trim())
-    .filter(line => line && !line.startsWith('#') && !line.startsWith('<!--'))
-    .map(line => {
-      // Strip trailing descriptions in parentheses: "server/** (server code)" -> "server/**"
-      const stripped = line.replace(/\s*\(.*\)\s*$/, '').trim();
-      // Handle comma-separated paths: ".env, .env.*, package.json" -> split into multiple
-      return stripped;
-    })
-    .flatMap(line => {
-      if (line.includes(',')) {
-        return line.split(',').map(p => p.trim()).filter(Boolean);
-      }
-      return [line];
-    })
-    .filter(line => {
-      // Filter out non-path entries (sentences, descriptions)
-      return line && !line.includes(' ') || line.includes('*') || line.includes('/') || line.includes('.');
-    });
+function _extractPaths(rawLine) {
+  const line = rawLine.replace(/^[-*]\s*/, '').trim();
+  if (!line || line.startsWith('<!--')) return [];
+
+  // Strip trailing descriptions in parentheses: "server/** (server code)" -> "server/**"
+  const stripped = line.replace(/\s*\(.*\)\s*$/, '').trim();
+  // Handle comma-separated paths: ".env, .env.*, package.json" -> split into multiple (commas inside {a,b} stay)
+  return _splitTopLevel(stripped, ',')
+    .map(p => p.trim().replace(/^`(.*)`$/, '$1'))
+    // Filter out non-path entries (sentences, descriptions)
+    .filter(p => p && (!p.includes(' ') || p.includes('*') || p.includes('/') || p.includes('.')));
 }
 
 function _matchGlob(filePath, pattern) {
-  if (pattern.endsWith('/**')) {
-    const prefix = pattern.slice(0, -3);
-    return filePath === prefix || filePath.startsWith(prefix + '/');
-  }
-
-  if (pattern.endsWith('/*')) {
-    const prefix = pattern.slice(0, -2);
-    if (!filePath.startsWith(prefix + '/')) return false;
-    const rest = filePath.slice(prefix.length + 1);
-    return !rest.includes('/');
-  }
-
-  if (pattern.includes('*')) {
-    const regex = new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '[^/]*') + '$');
-    return regex.test(filePath);
-  }
-
-  return filePath === pattern;
+  return matchGlob(filePath, pattern);
 }
 
 module.exports = {
   isPathSafe,
+  explainPath,
+  pathRules,
+  pathSections,
   _parseAgentsSections,
+  _parseAgentsRules,
   _matchGlob,
 };
@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+
+const SKIPPED_ENTRIES = new Set(['.git', '.sneebly', 'node_modules']);
+const DEFAULT_ISOLATION_KEYWORDS = [
+  'auth', 'login', 'session', 'oauth', 'password', 'permission', 'admin',
+  'payment', 'billing', 'stripe', 'checkout', 'subscription', 'invoice',
+];
+const ISOLATED_CATEGORIES = new Set(['auth', 'permissions', 'payments', 'credentials']);
+
+function shouldIsolate(spec, config = {}) {
+  if (typeof spec.isolate === 'boolean') return spec.isolate;
+
+  const mode = config.isolation || 'auto';
+  if (mode === 'off') return false;
+  if (mode === 'always') return true;
+
+  if (spec.blockedCategory && ISOLATED_CATEGORIES.has(spec.blockedCategory)) return true;
+  const keywords = config.isolationKeywords || DEFAULT_ISOLATION_KEYWORDS;
+  const files = [spec.filePath, ...(spec.relatedFiles || [])].filter(Boolean).map(f => String(f).toLowerCase());
+  return files.some(f => keywords.some(kw => f.includes(kw)));
+}
+
+function _containedLink(projectRoot, src) {
+  if (!fs.lstatSync(src).isSymbolicLink()) return true;
+  const target = fs.readlinkSync(src);
+  const relative = path.relative(projectRoot, path.resolve(path.dirname(src), target));
+  if (path.isAbsolute(target) || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`symlink ${path.relative(projectRoot, src)} -> ${target} points outside the project, so writes through it would escape the sandbox`);
+  }
+  return true;
+}
+
+function createSandbox(projectRoot, label) {
+  const dir = path.join(os.tmpdir(), `sneebly-sandbox-${String(label || 'spec').replace(/[^\w.-]+/g, '-')}-${crypto.randomBytes(3).toString('hex')}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  try {
+    for (const entry of fs.readdirSync(projectRoot)) {
+      if (SKIPPED_ENTRIES.has(entry)) continue;
+      fs.cpSync(path.join(projectRoot, entry), path.join(dir, entry), {
+        recursive: true,
+        verbatimSymlinks: true,
+        filter: src => path.basename(src) !== 'node_modules' && _containedLink(projectRoot, src),
+      });
+    }
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+
+  const modules = path.join(projectRoot, 'node_modules');
+  if (fs.existsSync(modules)) {
+    try { fs.symlinkSync(modules, path.join(dir, 'node_modules'), 'dir'); } catch {}
+  }
+
+  return { dir, backupsDir: path.join(dir, '.sneebly-sandbox', 'backups') };
+}
+
+function destroySandbox(sandbox) {
+  if (!sandbox || !sandbox.dir.startsWith(os.tmpdir())) return;
+  try { fs.rmSync(sandbox.dir, { recursive: true, force: true }); } catch {}
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function withPort(url, port) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname !== 'localhost' && parsed.hostname !== '127.0.0.1') return url;
+    parsed.port = String(port);
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+function _sameContent(a, b) {
+  try {
+    return fs.readFileSync(a).equals(fs.readFileSync(b));
+  } catch {
+    return false;
+  }
+}
+
+function promoteChanges(sandbox, liveEngine, backupInfo) {
+  const modified = Object.entries(backupInfo.backups || {});
+  const created = backupInfo.newFiles || [];
+
+  for (const [filePath, sandboxBackup] of modified) {
+    if (!_sameContent(sandboxBackup, path.resolve(liveEngine.projectRoot, filePath))) {
+      return { promoted: false, reason: `${filePath} changed in the live tree during the isolated run` };
+    }
+  }
+  for (const filePath of created) {
+    if (fs.existsSync(path.resolve(liveEngine.projectRoot, filePath))) {
+      return { promoted: false, reason: `${filePath} appeared in the live tree during the isolated run` };
+    }
+  }
+
+  const files = [];
+  const backups = { backups: {}, newFiles: [] };
+  for (const filePath of [...new Set([...modified.map(([fp]) => fp), ...created])]) {
+    const outcome = liveEngine.promoteFile(sandbox.dir, filePath);
+    if (!outcome.promoted) return { promoted: false, reason: `${filePath}: ${outcome.reason}`, files };
+    files.push(filePath);
+    if (outcome.backupPath) backups.backups[filePath] = outcome.backupPath;
+    else if (outcome.created) backups.newFiles.push(filePath);
+  }
+  return { promoted: true, files, backups };
+}
+
+module.exports = {
+  shouldIsolate,
+  createSandbox,
+  destroySandbox,
+  findFreePort,
+  withPort,
+  promoteChanges,
+  DEFAULT_ISOLATION_KEYWORDS,
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const DEFAULT_MAX_CONCURRENT = 4;
+const DEFAULT_TOKENS_PER_MINUTE = 400000;
+const WINDOW_MS = 60000;
+const MAX_BACKOFF_MS = 120000;
+
+const PRIORITIES = { interactive: 0, background: 1 };
+const INTERACTIVE_SOURCES = new Set(['dashboard']);
+
+function priorityForSource(source) {
+  return INTERACTIVE_SOURCES.has(source) ? 'interactive' : 'background';
+}
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENT;
+    this.tokensPerMinute = options.tokensPerMinute !== undefined ? options.tokensPerMinute : DEFAULT_TOKENS_PER_MINUTE;
+    this.active = 0;
+    this.queue = [];
+    this.window = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.timerAt = 0;
+    this.seq = 0;
+  }
+
+  configure(options = {}) {
+    if (options.maxConcurrent) this.maxConcurrent = options.maxConcurrent;
+    if (options.tokensPerMinute !== undefined) this.tokensPerMinute = options.tokensPerMinute;
+    this._drain();
+  }
+
+  run(task, options = {}) {
+    const priority = PRIORITIES[options.priority] !== undefined ? options.priority : 'background';
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        task,
+        priority,
+        rank: PRIORITIES[priority],
+        seq: this.seq++,
+        estimatedTokens: options.estimatedTokens || 0,
+        tokensOf: options.tokensOf || null,
+        resolve,
+        reject,
+      });
+      this.queue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+      this._drain();
+    });
+  }
+
+  backoff(ms) {
+    const until = Date.now() + Math.min(Math.max(0, ms), MAX_BACKOFF_MS);
+    if (until > this.pausedUntil) this.pausedUntil = until;
+  }
+
+  tokensInWindow(now = Date.now()) {
+    this.window = this.window.filter(w => now - w.time < WINDOW_MS);
+    return this.window.reduce((sum, w) => sum + w.tokens, 0);
+  }
+
+  stats() {
+    const now = Date.now();
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      queuedByPriority: {
+        interactive: this.queue.filter(q => q.priority === 'interactive').length,
+        background: this.queue.filter(q => q.priority === 'background').length,
+      },
+      maxConcurrent: this.maxConcurrent,
+      tokensPerMinute: this.tokensPerMinute,
+      tokensLastMinute: this.tokensInWindow(now),
+      pausedForMs: Math.max(0, this.pausedUntil - now),
+    };
+  }
+
+  _waitMs(next, now) {
+    if (now < this.pausedUntil) return this.pausedUntil - now;
+    if (!this.tokensPerMinute) return 0;
+
+    const used = this.tokensInWindow(now);
+    if (used + next.estimatedTokens <= this.tokensPerMinute) return 0;
+    // A request larger than the whole per-minute budget never fits, so it runs alone instead of waiting forever
+    if (next.estimatedTokens > this.tokensPerMinute && this.active === 0) return 0;
+    if (this.window.length === 0) return WINDOW_MS;
+    return Math.max(1, this.window[0].time + WINDOW_MS - now);
+  }
+
+  _drain() {
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const now = Date.now();
+      const wait = this._waitMs(this.queue[0], now);
+      if (wait > 0) {
+        this._wakeIn(wait);
+        return;
+      }
+      this._start(this.queue.shift(), now);
+    }
+  }
+
+  _wakeIn(ms) {
+    const at = Date.now() + ms;
+    if (this.timer && this.timerAt <= at) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timerAt = at;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, ms);
+    // A queued request waiting out the window must not keep a finished CLI process alive
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  _start(item, now) {
+    const slot = { time: now, tokens: item.estimatedTokens };
+    this.window.push(slot);
+    this.active++;
+
+    Promise.resolve()
+      .then(() => item.task())
+      .then(result => {
+        if (item.tokensOf) {
+          const actual = item.tokensOf(result);
+          if (typeof actual === 'number') slot.tokens = actual;
+        }
+        item.resolve(result);
+      }, err => {
+        slot.tokens = 0;
+        item.reject(err);
+      })
+      .finally(() => {
+        this.active--;
+        this._drain();
+      });
+  }
+}
+
+let _scheduler = null;
+
+function getScheduler() {
+  if (!_scheduler) _scheduler = new RequestScheduler();
+  return _scheduler;
+}
+
+function _resetScheduler() {
+  if (_scheduler && _scheduler.timer) clearTimeout(_scheduler.timer);
+  _scheduler = null;
+}
+
+module.exports = {
+  RequestScheduler,
+  getScheduler,
+  priorityForSource,
+  _resetScheduler,
+  DEFAULT_MAX_CONCURRENT,
+  DEFAULT_TOKENS_PER_MINUTE,
+};
@@ -0,0 +1,217 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getPolicy } = require('./policy');
+
+const AUDIT_DIR = 'decisions';
+const AUDIT_PREFIX = 'secrets-';
+const MIN_ENV_VALUE = 8;
+const MIN_LITERAL = 16;
+const MIN_UNLABELLED_LITERAL = 32;
+const LABELLED_ENTROPY = 3.5;
+const MAX_FINDINGS = 20;
+
+const SECRET_RULES = [
+  { id: 'private-key', label: 'Private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+  { id: 'aws-access-key', label: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { id: 'aws-secret-key', label: 'AWS secret access key', pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"`]([A-Za-z0-9/+=]{40})['"`]/i },
+  { id: 'github-token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/ },
+  { id: 'gitlab-token', label: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}\b/ },
+  { id: 'slack-token', label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/ },
+  { id: 'slack-webhook', label: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]{20,}/ },
+  { id: 'stripe-key', label: 'Stripe secret key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/ },
+  { id: 'anthropic-key', label: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/ },
+  { id: 'openai-key', label: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{16,}T3BlbkFJ[A-Za-z0-9_-]{16,}|\bsk-(?:proj|svcacct|admin)-[A-Za-z0-9_-]{40,}/ },
+  { id: 'google-api-key', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { id: 'sendgrid-key', label: 'SendGrid API key', pattern: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/ },
+  { id: 'twilio-key', label: 'Twilio API key', pattern: /\bSK[0-9a-f]{32}\b/ },
+  { id: 'npm-token', label: 'npm access token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/ },
+  { id: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+  { id: 'connection-string', label: 'Connection string with password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"`]+:([^\s@/'"`]+)@[^\s'"`]+/i },
+];
+
+const SECRET_NAME = /secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?key|credential|auth|dsn|database_url|connection/i;
+const NON_SECRET_ENV = new Set(['PWD', 'OLDPWD']);
+const PLACEHOLDER = /^(?:x+|\*+|\.+|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\}|%[^%]*%|\$[A-Z_]+)$|example|placeholder|your[_-]|dummy|changeme|redacted|xxxx/i;
+const LITERAL = /(['"`])([A-Za-z0-9+/=_.~-]+)\1/g;
+
+function _entropy(value) {
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+function _mask(hit) {
+  return `${hit.rule}, ${hit.value.length} chars`;
+}
+
+function _isEnvAllowed(name, allowList) {
+  return NON_SECRET_ENV.has(name) || allowList.some(n => (n.endsWith('*') ? name.startsWith(n.slice(0, -1)) : name === n));
+}
+
+function _envSecrets(env, policy) {
+  const secrets = [];
+  for (const [name, value] of Object.entries(env || {})) {
+    if (typeof value !== 'string' || value.length < MIN_ENV_VALUE || PLACEHOLDER.test(value)) continue;
+    if (_isEnvAllowed(name, policy.secrets.allowEnv)) continue;
+    if (SECRET_NAME.test(name) || (value.length >= MIN_UNLABELLED_LITERAL && _entropy(value) >= policy.secrets.entropyThreshold)) {
+      secrets.push({ name, value });
+    }
+  }
+  return secrets.sort((a, b) => b.value.length - a.value.length);
+}
+
+function _collect(text, options = {}) {
+  const policy = options.policy || getPolicy(options.dataDir);
+  const allow = policy.secrets.allow.map(p => new RegExp(p));
+  const hits = [];
+  const taken = [];
+
+  const add = (rule, label, start, value, extra = {}) => {
+    const end = start + value.length;
+    if (taken.some(([s, e]) => start < e && end > s)) return;
+    if (allow.some(re => re.test(value))) return;
+    taken.push([start, end]);
+    hits.push({ rule, label, start, end, value, ...extra });
+  };
+
+  if (policy.secrets.scanEnv) {
+    for (const { name, value } of _envSecrets(options.env || process.env, policy)) {
+      let index = text.indexOf(value);
+      while (index !== -1) {
+        add('env-value', `value of environment variable ${name}`, index, value, { env: name });
+        index = text.indexOf(value, index + value.length);
+      }
+    }
+  }
+
+  for (const rule of SECRET_RULES) {
+    const re = new RegExp(rule.pattern.source, rule.pattern.flags.replace('g', '') + 'g');
+    let match;
+    while ((match = re.exec(text)) !== null) {
+      const value = match[1] || match[0];
+      if (!PLACEHOLDER.test(value)) add(rule.id, rule.label, match.index + match[0].indexOf(value), value);
+    }
+  }
+
+  LITERAL.lastIndex = 0;
+  let match;
+  while ((match = LITERAL.exec(text)) !== null) {
+    const value = match[2];
+    if (value.length < MIN_LITERAL || PLACEHOLDER.test(value) || !/\d/.test(value) || !/[A-Za-z]/.test(value)) continue;
+    const before = text.slice(Math.max(0, text.lastIndexOf('\n', match.index) + 1, match.index - 40), match.index);
+    const labelled = SECRET_NAME.test(before);
+    const entropy = _entropy(value);
+    if (labelled ? entropy >= LABELLED_ENTROPY : value.length >= MIN_UNLABELLED_LITERAL && entropy >= policy.secrets.entropyThreshold) {
+      add('high-entropy-string', labelled ? 'High-entropy string assigned to a secret-like name' : 'High-entropy string', match.index + 1, value);
+    }
+  }
+
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+function _lineOf(text, index) {
+  let line = 1;
+  for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) line++;
+  return line;
+}
+
+function scanForSecrets(text, options = {}) {
+  if (typeof text !== 'string' || text === '') return { clean: true, findings: [] };
+  const findings = _collect(text, options).slice(0, MAX_FINDINGS).map(hit => {
+    const finding = { rule: hit.rule, label: hit.label, line: _lineOf(text, hit.start), preview: _mask(hit) };
+    if (hit.env) finding.env = hit.env;
+    return finding;
+  });
+  return { clean: findings.length === 0, findings };
+}
+
+function _patchAdditions(patch) {
+  return String(patch || '').split('\n').filter(l => l.startsWith('+') && !l.startsWith('+++ ')).map(l => l.slice(1)).join('\n');
+}
+
+function scanPayload(payload, options = {}) {
+  if (!payload || typeof payload !== 'object') return { clean: true, findings: [] };
+  const parts = [];
+  if (typeof payload.newCode === 'string') parts.push({ filePath: payload.filePath, text: payload.newCode });
+  if (typeof payload.content === 'string') parts.push({ filePath: payload.filePath, text: payload.content });
+  if (typeof payload.patch === 'string') parts.push({ filePath: null, text: _patchAdditions(payload.patch) });
+  for (const change of Array.isArray(payload.changes) ? payload.changes : []) {
+    if (change && typeof change.newCode === 'string') parts.push({ filePath: change.filePath, text: change.newCode });
+  }
+  for (const file of Array.isArray(payload.files) ? payload.files : []) {
+    if (file && typeof file.content === 'string') parts.push({ filePath: file.filePath, text: file.content });
+  }
+
+  const findings = [];
+  for (const part of parts) {
+    for (const finding of scanForSecrets(part.text, options).findings) {
+      findings.push(part.filePath ? { filePath: part.filePath, ...finding } : finding);
+    }
+  }
+  return { clean: findings.length === 0, findings: findings.slice(0, MAX_FINDINGS) };
+}
+
+function redactSecrets(text, options = {}) {
+  if (typeof text !== 'string' || text === '') return text;
+  let out = '';
+  let last = 0;
+  for (const hit of _collect(text, options)) {
+    out += text.slice(last, hit.start) + `[REDACTED:${hit.env || hit.rule}]`;
+    last = hit.end;
+  }
+  return out + text.slice(last);
+}
+
+function describeFindings(findings) {
+  return findings.map(f => `${f.filePath ? `${f.filePath} ` : ''}line ${f.line}: ${f.label} (${f.preview})`).join('; ');
+}
+
+function recordSecretBlock(dataDir, record) {
+  if (!dataDir) return;
+  const timestamp = new Date().toISOString();
+  const file = path.join(dataDir, AUDIT_DIR, `${AUDIT_PREFIX}${timestamp.slice(0, 7)}.jsonl`);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ timestamp, action: 'secret_blocked', ...record }) + '\n');
+  } catch {}
+}
+
+function readSecretBlocks(dataDir, limit = 20) {
+  const dir = path.join(dataDir, AUDIT_DIR);
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.startsWith(AUDIT_PREFIX) && f.endsWith('.jsonl')).sort().reverse();
+  } catch {
+    return [];
+  }
+
+  const records = [];
+  for (const file of files) {
+    let lines = [];
+    try { lines = fs.readFileSync(path.join(dir, file), 'utf-8').split('\n').filter(Boolean).reverse(); } catch {}
+    for (const line of lines) {
+      try { records.push(JSON.parse(line)); } catch {}
+      if (records.length >= limit) return records;
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  SECRET_RULES,
+  scanForSecrets,
+  scanPayload,
+  redactSecrets,
+  describeFindings,
+  recordSecretBlock,
+  readSecretBlocks,
+  _entropy,
+  _envSecrets,
+};
@@ -4,21 +4,22 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
-const IDENTITY_FILES = [
-  'SOUL.md', 'AGENTS.md', 'IDENTITY.md',
-  'USER.md', 'TOOLS.md', 'HEARTBEAT.md', 'GOALS.md',
-];
-
-const ALLOWED_EXECUTABLES = ['npm', 'npx', 'git', 'curl'];
-
-const ALLOWED_COMMANDS = {
-  'npm': ['test', 'run build', 'run lint'],
-  'npx': ['eslint', 'eslint .'],
-  'git': ['add .', 'add', 'commit', 'status', 'diff', 'log'],
-  'curl': ['-s', '-f', '--silent', '--fail', 'http://localhost', 'http://127.0.0.1'],
-};
+const { DEFAULT_POLICY, IDENTITY_FILES, POLICY_FILE, getPolicy, policyPath } = require('./policy');
+const { scanPayload, redactSecrets, describeFindings } = require('./secret-scanner');
+
+const ALLOWED_EXECUTABLES = DEFAULT_POLICY.commands.executables;
+
+const ALLOWED_COMMANDS = DEFAULT_POLICY.commands.allowed;
 
 const DANGEROUS_SHELL_CHARS = /[`$(){}|;&<>!]/;
+const DANGEROUS_IN_QUOTES = /[$`]/;
+
+// Arguments after an allowed subcommand may not redirect output, load config or code, or point
+// outside the project: `git diff --output=/tmp/x`, `curl ... -o /etc/x`, `npx eslint -c evil.js`
+const RISKY_LONG_FLAG = /^--(?:output|config|rulesdir|resolve-plugins-relative-to|plugin|require|loader|import|node-options|script-shell|prefix|userconfig|globalconfig|cache|upload-file|upload-pack|receive-pack|exec|ext-diff|textconv|git-dir|work-tree|remote-name|cookie-jar|dump-header|trace|stderr|netrc-file|libcurl)(?:[-=]|$)/;
+const MODULE_FLAG = /^--(?:format|formatter|parser|reporter|resolver)(?:=|$)/;
+const RISKY_SHORT_FLAGS = { curl: 'oOKTDc', npx: 'ocf', npm: 'oc' };
+const PATH_LIKE = /[\\/]|\.[cm]?[jt]sx?$/;
 
 class OwnerVerification {
   constructor(config = {}) {
@@ -71,9 +72,14 @@ class IdentityProtection {
     this.projectRoot = projectRoot;
     this.dataDir = dataDir || path.join(projectRoot, '.sneebly');
     this.checksumFile = path.join(this.dataDir, 'identity-checksums.json');
+    this.policyFile = path.relative(this.projectRoot, policyPath(this.dataDir)).replace(/\\/g, '/');
     this.checksums = new Map();
   }
 
+  _trackedFiles() {
+    return [...IDENTITY_FILES, this.policyFile];
+  }
+
   initialize() {
     const persisted = this._loadPersistedChecksums();
 
@@ -88,7 +94,7 @@ class IdentityProtection {
   }
 
   _computeAndPersist() {
-    for (const file of IDENTITY_FILES) {
+    for (const file of this._trackedFiles()) {
       const filePath = path.join(this.projectRoot, file);
       if (fs.existsSync(filePath)) {
         const content = fs.readFileSync(filePath, 'utf-8');
@@ -145,6 +151,11 @@ class IdentityProtection {
       }
     }
 
+    if (!this.checksums.has(this.policyFile) && fs.existsSync(path.join(this.projectRoot, this.policyFile))) {
+      results.valid = false;
+      results.changes.push({ file: this.policyFile, issue: 'added' });
+    }
+
     return results;
   }
 
@@ -199,7 +210,7 @@ class InputSanitizer {
 
   static sanitizeText(text, maxLength = 2000) {
     if (typeof text !== 'string') return '';
-    let clean = text.slice(0, maxLength);
+    let clean = redactSecrets(text.slice(0, maxLength));
 
     const injectionMatch = InputSanitizer.INJECTION_PATTERNS.find(p => p.test(clean));
     if (injectionMatch) {
@@ -258,22 +269,19 @@ class InputSanitizer {
 }
 
 class OutputValidator {
-  static BLOCKED_PATHS = [
-    ...IDENTITY_FILES,
-    '.env',
-    '.env.local',
-    '.env.production',
-    'package.json',
-    'package-lock.json',
-  ];
+  static _blockedPaths(policy) {
+    return [...IDENTITY_FILES, `.sneebly/${POLICY_FILE}`, ...policy.writes.blockedFiles];
+  }
 
-  static BLOCKED_PATH_PREFIXES = [
-    'node_modules/',
-    'sneebly/subagents/',
-    'sneebly/src/',
-  ];
+  static get BLOCKED_PATHS() {
+    return OutputValidator._blockedPaths(getPolicy());
+  }
+
+  static get BLOCKED_PATH_PREFIXES() {
+    return getPolicy().writes.blockedPrefixes;
+  }
 
-  static validateAction(action) {
+  static validateAction(action, policy = getPolicy()) {
     const result = { valid: true, reasons: [] };
 
     if (!action || typeof action !== 'object') {
@@ -283,18 +291,19 @@ class OutputValidator {
     if (action.filePath) {
       const normalized = path.normalize(action.filePath);
       const basename = path.basename(normalized);
+      const blockedPaths = OutputValidator._blockedPaths(policy);
 
-      if (OutputValidator.BLOCKED_PATHS.includes(basename)) {
+      if (blockedPaths.includes(basename)) {
         result.valid = false;
         result.reasons.push(`Writing to '${basename}' is blocked`);
       }
 
-      if (OutputValidator.BLOCKED_PATHS.includes(normalized)) {
+      if (blockedPaths.includes(normalized)) {
         result.valid = false;
         result.reasons.push(`Writing to '${normalized}' is blocked`);
       }
 
-      for (const prefix of OutputValidator.BLOCKED_PATH_PREFIXES) {
+      for (const prefix of policy.writes.blockedPrefixes) {
         if (normalized.startsWith(prefix) || normalized.includes('/' + prefix)) {
           result.valid = false;
           result.reasons.push(`Writing to paths under '${prefix}' is blocked`);
@@ -308,48 +317,34 @@ class OutputValidator {
     }
 
     if (action.newCode && typeof action.newCode === 'string') {
-      const codeChecks = [
-        { pattern: /process\.env\[/, label: 'Dynamic env var access' },
-        { pattern: /writeFileSync.*\.env/i, label: 'Writing to .env file' },
-        { pattern: /writeFileSync.*SOUL\.md/i, label: 'Writing to SOUL.md' },
-      ];
-
-      for (const check of codeChecks) {
-        if (check.pattern.test(action.newCode)) {
+      for (const check of policy.code.blockedPatterns) {
+        if (new RegExp(check.pattern, check.flags || '').test(action.newCode)) {
           result.valid = false;
           result.reasons.push(`Proposed code contains blocked pattern: ${check.label}`);
         }
       }
     }
 
+    const secrets = scanPayload(action, { policy });
+    if (!secrets.clean) {
+      result.valid = false;
+      result.reasons.push(`Proposed code contains a secret: ${describeFindings(secrets.findings)}`);
+      result.secrets = secrets.findings;
+    }
+
     return result;
   }
 }
 
 class CommandValidator {
-  static isAllowed(command) {
+  static isAllowed(command, policy = getPolicy()) {
     if (typeof command !== 'string' || command.trim() === '') {
       return { allowed: false, reason: 'Command must be a non-empty string' };
     }
 
     const trimmed = command.trim();
-    const parts = trimmed.split(/\s+/);
-    const executable = parts[0];
+    const fullArgs = trimmed.slice(trimmed.split(/\s+/)[0].length);
 
-    if (!ALLOWED_EXECUTABLES.includes(executable)) {
-      return { allowed: false, reason: `Executable '${executable}' not in whitelist` };
-    }
-
-    const subcommand = parts.slice(1).join(' ');
-    const allowedSubs = ALLOWED_COMMANDS[executable] || [];
-    const matchesSub = allowedSubs.some(sub => subcommand.startsWith(sub));
-    if (!matchesSub) {
-      return { allowed: false, reason: `Subcommand '${subcommand}' not allowed for ${executable}` };
-    }
-
-    const fullArgs = trimmed.slice(executable.length);
-
-    const DANGEROUS_IN_QUOTES = /[$`]/;
     const quotedStrings = [];
     fullArgs.replace(/"([^"]*)"/g, (_, content) => { quotedStrings.push(content); return ''; });
     fullArgs.replace(/'([^']*)'/g, (_, content) => { quotedStrings.push(content); return ''; });
@@ -365,7 +360,107 @@ class CommandValidator {
       return { allowed: false, reason: 'Shell metacharacters detected in arguments' };
     }
 
-    return { allowed: true };
+    const parsed = CommandValidator.parse(trimmed);
+    if (parsed.error) return { allowed: false, reason: parsed.error };
+    return CommandValidator.checkArgv(parsed.argv, policy);
+  }
+
+  static checkArgv(argv, policy = getPolicy()) {
+    if (!Array.isArray(argv) || argv.length === 0 || !argv.every(a => typeof a === 'string') || argv[0] === '') {
+      return { allowed: false, reason: 'Command must be a non-empty argument list' };
+    }
+    if (argv.some(a => a.includes('\0'))) {
+      return { allowed: false, reason: 'Null byte in arguments' };
+    }
+
+    const entry = CommandValidator.findEntry(argv, policy);
+    if (entry) return { allowed: true, entry };
+
+    const [executable, ...args] = argv;
+    if (!policy.commands.executables.includes(executable)) {
+      return { allowed: false, reason: `Executable '${executable}' not in whitelist` };
+    }
+
+    const subcommand = args.join(' ');
+    const allowedSubs = policy.commands.allowed[executable] || [];
+    const matched = allowedSubs.filter(sub => CommandValidator.matchesSubcommand(sub, args));
+    if (matched.length === 0) {
+      return { allowed: false, reason: `Subcommand '${subcommand}' not allowed for ${executable}` };
+    }
+    const consumed = Math.max(...matched.map(sub => sub.split(/\s+/).filter(Boolean).length));
+    const risky = CommandValidator.riskyArgument(executable, args.slice(consumed));
+    if (risky) return { allowed: false, reason: `Argument '${risky}' is not allowed after '${executable} ${matched[0]}'` };
+
+    if (args.some(a => DANGEROUS_IN_QUOTES.test(a))) {
+      return { allowed: false, reason: 'Shell metacharacters detected in arguments' };
+    }
+
+    return { allowed: true, entry: null };
+  }
+
+  // Subcommands match whole argv tokens. Only a token ending in '/' (a branch prefix) or a URL
+  // (followed by a port, path or query) may be a prefix of the actual argument.
+  static matchesSubcommand(sub, args) {
+    const tokens = sub.split(/\s+/).filter(Boolean);
+    return tokens.length <= args.length && tokens.every((token, i) => {
+      const arg = args[i];
+      if (arg === token) return true;
+      if (token.endsWith('/')) return arg.startsWith(token);
+      if (token.includes('://')) return arg.startsWith(token) && /^[:/?]/.test(arg.slice(token.length));
+      return false;
+    });
+  }
+
+  static riskyArgument(executable, args) {
+    const shortFlags = RISKY_SHORT_FLAGS[executable] || '';
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (RISKY_LONG_FLAG.test(arg)) return arg;
+      if (MODULE_FLAG.test(arg)) {
+        const value = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : args[i + 1] || '';
+        if (PATH_LIKE.test(value)) return arg;
+      }
+      if (/^-[A-Za-z]/.test(arg) && [...arg.slice(1)].some(ch => shortFlags.includes(ch))) return arg;
+      if (arg.includes('://')) continue;
+      const value = (arg.startsWith('-') && arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : arg).replace(/^@/, '');
+      if (path.isAbsolute(value) || path.win32.isAbsolute(value) || value.split(/[\\/]/).includes('..')) return arg;
+    }
+    return null;
+  }
+
+  // Entries match their argv exactly unless they declare `args`: 'paths' accepts trailing project-relative
+  // paths (no flags, no absolute or '..' paths) and 'any' accepts whatever follows
+  static findEntry(argv, policy = getPolicy()) {
+    return (policy.commands.entries || []).find(entry => {
+      if (entry.argv.length > argv.length || !entry.argv.every((arg, i) => arg === argv[i])) return false;
+      const rest = argv.slice(entry.argv.length);
+      if (rest.length === 0 || entry.args === 'any') return true;
+      if (entry.args !== 'paths') return false;
+      return rest.every(arg => !arg.startsWith('-') && !path.isAbsolute(arg) && !path.win32.isAbsolute(arg) && !arg.split(/[\\/]/).includes('..'));
+    }) || null;
+  }
+
+  static parse(command) {
+    const argv = [];
+    let current = null;
+    let quote = null;
+    for (const ch of String(command).trim()) {
+      if (quote) {
+        if (ch === quote) quote = null;
+        else current += ch;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        current = current || '';
+      } else if (/\s/.test(ch)) {
+        if (current !== null) argv.push(current);
+        current = null;
+      } else {
+        current = (current || '') + ch;
+      }
+    }
+    if (quote) return { argv: null, error: 'Unterminated quote in command' };
+    if (current !== null) argv.push(current);
+    return { argv };
   }
 }
 
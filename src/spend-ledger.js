@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { acquireSync, releaseSync } = require('./file-lock');
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+function _monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function _periodStarts(now) {
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const week = new Date(day);
+  week.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return { daily: day.getTime(), weekly: week.getTime(), monthly: month.getTime() };
+}
+
+function _round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+class SpendLedger {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.ledgerDir = path.join(dataDir, 'spend');
+  }
+
+  _fileFor(date) {
+    return path.join(this.ledgerDir, `${_monthKey(date)}.jsonl`);
+  }
+
+  record(entry) {
+    const now = new Date();
+    const line = JSON.stringify({
+      timestamp: now.toISOString(),
+      source: entry.source || 'unknown',
+      subagent: entry.subagent || null,
+      provider: entry.provider || null,
+      model: entry.model || null,
+      specId: entry.specId || null,
+      cost: _round(entry.cost || 0),
+      inputTokens: (entry.usage && entry.usage.inputTokens) || 0,
+      outputTokens: (entry.usage && entry.usage.outputTokens) || 0,
+      cacheReadTokens: (entry.usage && entry.usage.cacheReadTokens) || 0,
+      cacheWriteTokens: (entry.usage && entry.usage.cacheWriteTokens) || 0,
+    }) + '\n';
+
+    const file = this._fileFor(now);
+    let release = null;
+    try {
+      if (!fs.existsSync(this.ledgerDir)) fs.mkdirSync(this.ledgerDir, { recursive: true });
+      if (!fs.existsSync(file)) fs.writeFileSync(file, '', { flag: 'a' });
+      release = acquireSync(file);
+      fs.appendFileSync(file, line);
+      return true;
+    } catch {
+      return false;
+    } finally {
+      releaseSync(release);
+    }
+  }
+
+  entriesSince(since) {
+    const entries = [];
+    const cursor = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth(), 1));
+    const now = new Date();
+
+    while (cursor <= now) {
+      let content = '';
+      try {
+        content = fs.readFileSync(this._fileFor(cursor), 'utf-8');
+      } catch {}
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (new Date(entry.timestamp).getTime() >= since.getTime()) entries.push(entry);
+        } catch {}
+      }
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+
+    return entries;
+  }
+
+  totals(now = new Date()) {
+    const starts = _periodStarts(now);
+    const earliest = new Date(Math.min(starts.weekly, starts.monthly));
+    const totals = { daily: 0, weekly: 0, monthly: 0 };
+
+    for (const entry of this.entriesSince(earliest)) {
+      const ts = new Date(entry.timestamp).getTime();
+      for (const period of PERIODS) {
+        if (ts >= starts[period]) totals[period] += entry.cost || 0;
+      }
+    }
+
+    for (const period of PERIODS) totals[period] = _round(totals[period]);
+    return totals;
+  }
+
+  checkCaps(caps, pendingCost = 0) {
+    const totals = this.totals();
+    if (!caps) return { allowed: true, totals };
+
+    for (const period of PERIODS) {
+      const cap = caps[period];
+      if (cap === undefined || cap === null) continue;
+      if (totals[period] + pendingCost > cap) {
+        return { allowed: false, period, cap, spent: totals[period], totals };
+      }
+    }
+    return { allowed: true, totals };
+  }
+
+  summary(caps = {}, options = {}) {
+    const now = new Date();
+    const starts = _periodStarts(now);
+    const monthEntries = this.entriesSince(new Date(starts.monthly));
+    const totals = this.totals(now);
+
+    const breakdown = (key) => {
+      const out = {};
+      for (const e of monthEntries) {
+        const k = e[key] || 'unknown';
+        out[k] = _round((out[k] || 0) + (e.cost || 0));
+      }
+      return out;
+    };
+
+    const remaining = {};
+    for (const period of PERIODS) {
+      if (caps[period] !== undefined) remaining[period] = _round(Math.max(0, caps[period] - totals[period]));
+    }
+
+    const limit = options.limit || 20;
+    return {
+      totals,
+      caps,
+      remaining,
+      capped: PERIODS.filter(p => caps[p] !== undefined && totals[p] >= caps[p]),
+      month: {
+        calls: monthEntries.length,
+        bySource: breakdown('source'),
+        bySubagent: breakdown('subagent'),
+        byModel: breakdown('model'),
+      },
+      recent: monthEntries.slice(-limit).reverse(),
+    };
+  }
+}
+
+module.exports = { SpendLedger, PERIODS };
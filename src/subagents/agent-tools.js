@@ -0,0 +1,298 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { isPathSafe, pathSections } = require('../safety');
+const { mayMatchInside } = require('../glob');
+const { runCommand } = require('../command-runner');
+const { getPolicy } = require('../policy');
+const { loadIndex, getFilesForEndpoint, getFilesForIntegration } = require('../dependency-index');
+
+const MAX_OUTPUT_CHARS = 12000;
+const MAX_GREP_MATCHES = 50;
+const MAX_GREP_FILES = 2000;
+const SKIP_DIRS = new Set(['node_modules', '.git', '.sneebly', 'dist', 'build', '.next', 'coverage']);
+
+// The model gets its own exact-argv list instead of the shared allow-list, whose subcommands
+// accept trailing arguments. `args: 'paths'` lets it narrow a command to project files.
+const AGENT_COMMANDS = [
+  { argv: ['git', 'status'] },
+  { argv: ['git', 'diff'], args: 'paths' },
+  { argv: ['git', 'diff', '--stat'], args: 'paths' },
+  { argv: ['git', 'log', '--oneline', '-n', '20'], args: 'paths' },
+  { argv: ['npm', 'test'] },
+  { argv: ['npm', 'run', 'lint'] },
+  { argv: ['npx', '--no-install', 'tsc', '--noEmit'] },
+];
+
+const TOOL_DEFINITIONS = [
+  {
+    name: 'read_file',
+    description: 'Read a project file. Optional 1-based startLine/endLine to read a slice.',
+    args: '{ "path": string, "startLine"?: number, "endLine"?: number }',
+  },
+  {
+    name: 'list_dir',
+    description: 'List the entries of a project directory ("." for the root). Directories end with "/".',
+    args: '{ "path": string }',
+  },
+  {
+    name: 'grep',
+    description: `Search project files for a literal string (not a regular expression). Returns up to ${MAX_GREP_MATCHES} "file:line: text" matches.`,
+    args: '{ "pattern": string, "path"?: string }',
+  },
+  {
+    name: 'get_dependency_index',
+    description: 'Look up the route/service/schema/page dependency index. Pass an endpoint or integration to get the files involved; pass nothing for a summary.',
+    args: '{ "endpoint"?: string, "integration"?: string }',
+  },
+  {
+    name: 'run_allowed_command',
+    description: `Run one of these commands in the project root: ${AGENT_COMMANDS.map(e => `"${e.argv.join(' ')}${e.args === 'paths' ? ' [paths]' : ''}"`).join(', ')}, or a command entry from the project policy.`,
+    args: '{ "command": string }',
+  },
+];
+
+function describeTools() {
+  const lines = [
+    '## Tools',
+    '',
+    'You may inspect the project before answering. To call a tool, reply with ONLY this JSON object and nothing else:',
+    '',
+    '```json',
+    '{ "tool_call": { "name": "<tool name>", "args": { ... } } }',
+    '```',
+    '',
+    'The tool result comes back as the next message. Call one tool per reply. When you have what you need, reply with your final answer in the format described above instead of a tool call.',
+    '',
+  ];
+  for (const tool of TOOL_DEFINITIONS) {
+    lines.push(`- **${tool.name}** ${tool.args} — ${tool.description}`);
+  }
+  return lines.join('\n');
+}
+
+function _truncate(text) {
+  if (text.length <= MAX_OUTPUT_CHARS) return text;
+  return text.substring(0, MAX_OUTPUT_CHARS) + `\n... (truncated, ${text.length - MAX_OUTPUT_CHARS} more chars)`;
+}
+
+function _normalizeRel(p) {
+  return path.normalize(String(p || '.')).replace(/\\/g, '/').replace(/^\.\/?/, '').replace(/\/+$/, '');
+}
+
+function _checkReadable(relPath, ctx) {
+  return isPathSafe(relPath, ctx.agentsContext);
+}
+
+// A symlink inside the project may point anywhere, so the real target has to pass the same checks
+function _realTarget(fullPath, ctx) {
+  let real;
+  let root;
+  try {
+    real = fs.realpathSync(fullPath);
+    root = fs.realpathSync(ctx.projectRoot);
+  } catch {
+    return null;
+  }
+  const rel = path.relative(root, real);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  return rel.replace(/\\/g, '/');
+}
+
+function _isNavigable(relDir, ctx) {
+  if (relDir.includes('..')) return false;
+  if (relDir === '') return true;
+  if (_checkReadable(relDir, ctx).safe) return true;
+  const { safePaths } = pathSections(ctx.agentsContext);
+  return safePaths.some(pattern => mayMatchInside(relDir, pattern));
+}
+
+function _readFile(args, ctx) {
+  const rel = _normalizeRel(args.path);
+  const check = _checkReadable(rel, ctx);
+  if (!check.safe) return { ok: false, error: `read denied: ${check.reason}` };
+
+  const fullPath = path.resolve(ctx.projectRoot, rel);
+  const real = _realTarget(fullPath, ctx);
+  if (real === null && fs.existsSync(fullPath)) return { ok: false, error: `read denied: ${rel} resolves outside the project` };
+  if (real !== null && real !== rel) {
+    const realCheck = _checkReadable(real, ctx);
+    if (!realCheck.safe) return { ok: false, error: `read denied: ${rel} links to ${real}: ${realCheck.reason}` };
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(fullPath, 'utf-8');
+  } catch (err) {
+    return { ok: false, error: `cannot read ${rel}: ${err.code || err.message}` };
+  }
+
+  const lines = content.split('\n');
+  const start = Math.max(1, parseInt(args.startLine, 10) || 1);
+  const end = Math.min(lines.length, parseInt(args.endLine, 10) || lines.length);
+  const slice = lines.slice(start - 1, end).map((l, i) => `${start + i}: ${l}`).join('\n');
+  return { ok: true, output: _truncate(`${rel} (lines ${start}-${end} of ${lines.length})\n${slice}`) };
+}
+
+function _listDir(args, ctx) {
+  const rel = _normalizeRel(args.path);
+  if (!_isNavigable(rel, ctx)) return { ok: false, error: `list denied: '${rel || '.'}' is outside the safe paths in AGENTS.md` };
+
+  const real = _realTarget(path.resolve(ctx.projectRoot, rel || '.'), ctx);
+  if (real === null ? fs.existsSync(path.resolve(ctx.projectRoot, rel || '.')) : real !== rel && !_isNavigable(real, ctx)) return { ok: false, error: `list denied: '${rel}' links outside the safe paths` };
+
+  let entries;
+  try {
+    entries = fs.readdirSync(path.resolve(ctx.projectRoot, rel || '.'), { withFileTypes: true });
+  } catch (err) {
+    return { ok: false, error: `cannot list ${rel || '.'}: ${err.code || err.message}` };
+  }
+
+  const visible = entries
+    .filter(e => !SKIP_DIRS.has(e.name))
+    .map(e => ({ name: e.name, dir: e.isDirectory(), rel: real ? `${real}/${e.name}` : e.name }))
+    .filter(e => (e.dir ? _isNavigable(e.rel, ctx) : _checkReadable(e.rel, ctx).safe))
+    .map(e => (e.dir ? `${e.name}/` : e.name))
+    .sort();
+
+  return { ok: true, output: visible.length > 0 ? visible.join('\n') : '(no readable entries)' };
+}
+
+function _grep(args, ctx) {
+  if (!args.pattern || typeof args.pattern !== 'string' || args.pattern.length > 200) {
+    return { ok: false, error: 'grep needs a "pattern" string of at most 200 chars' };
+  }
+  // A fixed string: a model-supplied regex could backtrack for minutes on this process's only thread
+  const needle = args.pattern;
+
+  const root = _normalizeRel(args.path);
+  if (!_isNavigable(root, ctx) && !_checkReadable(root, ctx).safe) {
+    return { ok: false, error: `grep denied: '${root || '.'}' is outside the safe paths in AGENTS.md` };
+  }
+
+  const matches = [];
+  let filesScanned = 0;
+  const stack = [root];
+  const visited = new Set();
+
+  while (stack.length > 0 && matches.length < MAX_GREP_MATCHES && filesScanned < MAX_GREP_FILES) {
+    const rel = stack.pop();
+    const fullPath = path.resolve(ctx.projectRoot, rel || '.');
+    const real = _realTarget(fullPath, ctx);
+    if (real === null) continue;
+    let stat;
+    try { stat = fs.statSync(fullPath); } catch { continue; }
+
+    if (stat.isDirectory()) {
+      if (visited.has(real)) continue;
+      visited.add(real);
+      let entries = [];
+      try { entries = fs.readdirSync(fullPath); } catch {}
+      for (const name of entries.sort().reverse()) {
+        if (SKIP_DIRS.has(name)) continue;
+        const child = rel ? `${rel}/${name}` : name;
+        stack.push(child);
+      }
+      continue;
+    }
+
+    if (!_checkReadable(rel, ctx).safe || !_checkReadable(real, ctx).safe || stat.size > 512 * 1024) continue;
+    filesScanned++;
+
+    let content;
+    try { content = fs.readFileSync(fullPath, 'utf-8'); } catch { continue; }
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length && matches.length < MAX_GREP_MATCHES; i++) {
+      if (lines[i].includes(needle)) matches.push(`${rel}:${i + 1}: ${lines[i].trim().substring(0, 200)}`);
+    }
+  }
+
+  return { ok: true, output: matches.length > 0 ? _truncate(matches.join('\n')) : 'no matches' };
+}
+
+function _getDependencyIndex(args, ctx) {
+  const index = loadIndex(ctx.dataDir);
+  if (!index) return { ok: false, error: 'dependency index not built yet' };
+
+  if (args.endpoint) {
+    return { ok: true, output: JSON.stringify(getFilesForEndpoint(index, String(args.endpoint)), null, 2) };
+  }
+  if (args.integration) {
+    return { ok: true, output: JSON.stringify(getFilesForIntegration(index, String(args.integration)), null, 2) };
+  }
+
+  const summary = {
+    routes: Object.entries(index.routes || {}).map(([name, r]) => ({ name, file: r.file, endpoints: (r.endpoints || []).map(e => `${e.method || ''} ${e.path}`.trim()) })),
+    services: Object.entries(index.services || {}).map(([name, s]) => ({ name, file: s.file })),
+    pages: Object.entries(index.pages || {}).map(([name, p]) => ({ name, file: p.file })),
+  };
+  return { ok: true, output: _truncate(JSON.stringify(summary, null, 2)) };
+}
+
+function _runAllowedCommand(args, ctx) {
+  const command = typeof args.command === 'string' ? args.command.trim() : '';
+  const base = getPolicy(ctx.dataDir);
+  const entries = [...AGENT_COMMANDS, ...base.commands.entries.filter(e => e.args !== 'any')];
+  const policy = { ...base, commands: { ...base.commands, executables: [], allowed: {}, entries } };
+  const run = runCommand(command, { projectRoot: ctx.projectRoot, dataDir: ctx.dataDir, policy, source: 'agent-tool', timeoutMs: 60000 });
+  if (run.blocked) return { ok: false, error: `command denied: ${run.reason}` };
+
+  if (run.ok) return { ok: true, output: _truncate(`exit 0\n${run.stdout}`) };
+  const combined = run.stdout + '\n' + (run.stderr || run.error || '');
+  return { ok: true, output: _truncate(`exit ${run.exitCode === null ? 'unknown' : run.exitCode}\n${combined}`) };
+}
+
+const TOOL_HANDLERS = {
+  read_file: _readFile,
+  list_dir: _listDir,
+  grep: _grep,
+  get_dependency_index: _getDependencyIndex,
+  run_allowed_command: _runAllowedCommand,
+};
+
+function executeTool(call, ctx) {
+  const handler = TOOL_HANDLERS[call && call.name];
+  if (!handler) {
+    return { ok: false, error: `unknown tool "${call && call.name}" (available: ${Object.keys(TOOL_HANDLERS).join(', ')})` };
+  }
+  try {
+    return handler(call.args || {}, ctx);
+  } catch (err) {
+    return { ok: false, error: `${call.name} failed: ${err.message}` };
+  }
+}
+
+function parseToolCall(text) {
+  if (typeof text !== 'string' || !text.includes('"tool_call"')) return null;
+  const start = text.lastIndexOf('{', text.indexOf('"tool_call"'));
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escape = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (escape) { escape = false; continue; }
+    if (ch === '\\' && inString) { escape = true; continue; }
+    if (ch === '"') { inString = !inString; continue; }
+    if (inString) continue;
+    if (ch === '{') depth++;
+    if (ch === '}' && --depth === 0) {
+      try {
+        const parsed = JSON.parse(text.substring(start, i + 1));
+        if (parsed.tool_call && typeof parsed.tool_call.name === 'string') return parsed.tool_call;
+      } catch {}
+      return null;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  AGENT_COMMANDS,
+  TOOL_DEFINITIONS,
+  describeTools,
+  executeTool,
+  parseToolCall,
+};
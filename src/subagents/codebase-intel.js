@@ -27,6 +27,7 @@ async function analyzeCodebase(options = {}) {
       context, budget, memory, apiKey, identityDir, templatesDir, dryRun,
     });
   } catch (err) {
+    if (err.code === 'CASSETTE_MISS') throw err;
     return { action: 'skip', reason: `dispatcher-error: ${err.message}` };
   }
 
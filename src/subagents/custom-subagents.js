@@ -0,0 +1,337 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { delegateToSubagent } = require('./dispatcher');
+const { _getSafePaths, _isPathSafe } = require('./error-resolver');
+const { _listProjectFiles } = require('./codebase-intel');
+const { _matchGlob } = require('../safety');
+const { OutputValidator } = require('../security');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates');
+const BUILTIN_SUBAGENTS = ['site-crawler'];
+const EVENTS = ['new-errors', 'crawl-errors', 'app-down'];
+const INPUT_SOURCES = ['crawl-results', 'metrics', 'errors'];
+const OUTPUT_TYPES = ['specs', 'pending-queue', 'report'];
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_FILE_INPUT_CHARS = 30000;
+
+const OUTPUT_FORMATS = {
+  specs: 'Reply with ONLY a JSON object: {"findings": [{"filePath": string, "description": string, "successCriteria": [string], "priority": "high"|"medium"|"low"}], "summary": string}',
+  'pending-queue': 'Reply with ONLY a JSON object: {"items": [{"title": string, "description": string, "filePath"?: string, "priority"?: "high"|"medium"|"low"}], "summary": string}',
+  report: 'Reply with ONLY a JSON object: {"summary": string, "findings": [object]}',
+};
+
+function _builtinNames(templatesDir) {
+  const names = new Set(BUILTIN_SUBAGENTS);
+  try {
+    for (const file of fs.readdirSync(path.join(templatesDir || TEMPLATES_DIR, 'subagents'))) {
+      if (file.endsWith('.md')) names.add(file.replace(/\.md$/, ''));
+    }
+  } catch {}
+  return names;
+}
+
+function _parseTrigger(trigger) {
+  if (typeof trigger !== 'string' || !trigger.trim()) return null;
+  const value = trigger.trim().toLowerCase();
+
+  if (value.startsWith('event:')) {
+    const event = value.slice(6).trim();
+    return EVENTS.includes(event) ? { type: 'event', event } : null;
+  }
+
+  if (value === 'every-heartbeat' || value === 'daily') return { type: 'schedule', every: value };
+
+  const weekly = value.match(/^weekly:(\w+)$/);
+  if (weekly && DAYS.includes(weekly[1])) return { type: 'schedule', every: 'weekly', day: weekly[1] };
+
+  const interval = value.match(/^every-(\d+)-heartbeats$/);
+  if (interval) return { type: 'schedule', every: 'interval', heartbeats: parseInt(interval[1], 10) };
+
+  return null;
+}
+
+function _parseInputs(input) {
+  const list = Array.isArray(input) ? input : (input ? [input] : []);
+  const inputs = [];
+  for (const entry of list) {
+    if (typeof entry !== 'string') continue;
+    const value = entry.trim();
+    if (INPUT_SOURCES.includes(value)) {
+      inputs.push({ source: value });
+    } else if (value.startsWith('files:') && value.length > 6) {
+      inputs.push({ source: 'files', pattern: value.slice(6).trim() });
+    }
+  }
+  return inputs;
+}
+
+function discoverCustomSubagents(identityDir, templatesDir, memory) {
+  const dir = path.join(identityDir || '.', 'subagents');
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort();
+  } catch {
+    return [];
+  }
+
+  const builtins = _builtinNames(templatesDir);
+  const agents = [];
+
+  for (const file of files) {
+    const name = file.replace(/\.md$/, '');
+    if (builtins.has(name)) continue;
+
+    let data;
+    try {
+      data = matter(fs.readFileSync(path.join(dir, file), 'utf-8')).data;
+    } catch (err) {
+      if (memory) memory.logDaily(`Custom subagent ${name}: cannot parse frontmatter — ${err.message}`);
+      continue;
+    }
+
+    const trigger = _parseTrigger(data.trigger);
+    const output = data.output || 'report';
+    if (!trigger || !OUTPUT_TYPES.includes(output)) {
+      if (memory) memory.logDaily(`Custom subagent ${name}: skipped — invalid ${!trigger ? `trigger '${data.trigger}'` : `output '${output}'`}`);
+      continue;
+    }
+
+    agents.push({
+      name,
+      trigger,
+      inputs: _parseInputs(data.input),
+      output,
+      model: data.model || 'sonnet',
+      autoApprove: data.autoApprove === true,
+    });
+  }
+
+  return agents;
+}
+
+function _loadState(dataDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, 'custom-subagents.json'), 'utf-8'));
+  } catch {
+    return { agents: {} };
+  }
+}
+
+function _saveState(dataDir, state) {
+  try {
+    fs.writeFileSync(path.join(dataDir, 'custom-subagents.json'), JSON.stringify(state, null, 2));
+  } catch {}
+}
+
+// Schedules follow the owner's local calendar: `weekly on monday` and "ran today" both use local dates
+function _localDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function _isDue(agent, agentState, now) {
+  const { trigger } = agent;
+  if (trigger.type !== 'schedule') return false;
+
+  const lastRun = agentState.lastRun ? new Date(agentState.lastRun) : null;
+  const ranToday = !!lastRun && !isNaN(lastRun) && _localDate(lastRun) === _localDate(now);
+
+  if (trigger.every === 'every-heartbeat') return true;
+  if (trigger.every === 'daily') return !ranToday;
+  if (trigger.every === 'weekly') return DAYS[now.getDay()] === trigger.day && !ranToday;
+  if (trigger.every === 'interval') return (agentState.heartbeatsSinceRun || 0) + 1 >= trigger.heartbeats;
+  return false;
+}
+
+function getDueSubagents(agents, dataDir, now = new Date()) {
+  const state = _loadState(dataDir);
+  return agents.filter(agent => _isDue(agent, state.agents[agent.name] || {}, now));
+}
+
+function getEventSubagents(agents, event) {
+  return agents.filter(agent => agent.trigger.type === 'event' && agent.trigger.event === event);
+}
+
+function recordHeartbeat(agents, ranNames, dataDir) {
+  const state = _loadState(dataDir);
+  for (const agent of agents) {
+    if (agent.trigger.type !== 'schedule') continue;
+    const entry = state.agents[agent.name] || {};
+    if (ranNames.includes(agent.name)) {
+      entry.lastRun = new Date().toISOString();
+      entry.heartbeatsSinceRun = 0;
+    } else {
+      entry.heartbeatsSinceRun = (entry.heartbeatsSinceRun || 0) + 1;
+    }
+    state.agents[agent.name] = entry;
+  }
+  _saveState(dataDir, state);
+}
+
+function _readFilesInput(pattern, projectRoot) {
+  const files = {};
+  let totalChars = 0;
+
+  for (const file of _listProjectFiles(projectRoot, 2000)) {
+    if (totalChars >= MAX_FILE_INPUT_CHARS) break;
+    const rel = file.replace(/\\/g, '/');
+    if (!_matchGlob(rel, pattern)) continue;
+    if (!OutputValidator.validateAction({ type: 'file_edit', filePath: rel }).valid) continue;
+    try {
+      const content = fs.readFileSync(path.join(projectRoot, rel), 'utf-8');
+      const room = MAX_FILE_INPUT_CHARS - totalChars;
+      files[rel] = content.length > room ? content.substring(0, room) + '\n[TRUNCATED]' : content;
+      totalChars += Math.min(content.length, room);
+    } catch {}
+  }
+  return files;
+}
+
+function _gatherInput(agent, options) {
+  const { memory, dataDir, projectRoot, event } = options;
+  const input = {};
+
+  for (const spec of agent.inputs) {
+    if (spec.source === 'crawl-results') {
+      for (const file of ['crawl-errors.json', 'last-crawl.json']) {
+        try {
+          input.crawlResults = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+          break;
+        } catch {}
+      }
+    } else if (spec.source === 'metrics') {
+      input.metrics = memory ? memory.getMetricsSnapshots(10) : [];
+    } else if (spec.source === 'errors') {
+      input.errors = memory
+        ? memory.loadKnownErrors().errors.filter(e => e.status !== 'resolved').slice(0, 20)
+        : [];
+    } else if (spec.source === 'files') {
+      input.files = { ...(input.files || {}), ..._readFilesInput(spec.pattern, projectRoot || '.') };
+    }
+  }
+
+  return {
+    trigger: event ? `event:${event.name}` : 'schedule',
+    event: event ? event.details : undefined,
+    input,
+    expectedOutput: OUTPUT_FORMATS[agent.output],
+  };
+}
+
+function _queueItem(dataDir, agent, entry, i) {
+  const pendingDir = path.join(dataDir, 'pending-queue');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  fs.mkdirSync(pendingDir, { recursive: true });
+  fs.writeFileSync(path.join(pendingDir, `${timestamp}-${agent.name}-${i}.json`), JSON.stringify({ type: agent.name, ...entry, source: agent.name }, null, 2));
+}
+
+function _writeSpecs(agent, findings, options) {
+  const { dataDir, context, memory } = options;
+  const safePaths = _getSafePaths(context);
+  const approvedDir = path.join(dataDir, 'approved-queue');
+  const counts = { created: 0, autoApproved: 0, pendingReview: 0, blocked: 0 };
+
+  findings.forEach((finding, i) => {
+    if (!finding || !finding.filePath || !finding.description || !Array.isArray(finding.successCriteria) || finding.successCriteria.length === 0) {
+      counts.blocked++;
+      return;
+    }
+
+    const validation = OutputValidator.validateAction({ type: 'file_edit', filePath: finding.filePath });
+    if (!validation.valid) {
+      counts.blocked++;
+      if (memory) memory.logDaily(`Custom subagent ${agent.name}: spec for ${finding.filePath} blocked — ${validation.reasons.join('; ')}`);
+      return;
+    }
+
+    const spec = {
+      filePath: finding.filePath,
+      description: finding.description,
+      successCriteria: finding.successCriteria,
+      priority: finding.priority || 'medium',
+      source: agent.name,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (agent.autoApprove && _isPathSafe(finding.filePath, safePaths)) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const safeName = finding.filePath.replace(/[/\\]/g, '_').replace(/\.[^.]+$/, '');
+      fs.mkdirSync(approvedDir, { recursive: true });
+      fs.writeFileSync(path.join(approvedDir, `${timestamp}-${agent.name}-${safeName}-${i}.json`), JSON.stringify(spec, null, 2));
+      counts.autoApproved++;
+    } else {
+      _queueItem(dataDir, agent, spec, i);
+      counts.pendingReview++;
+    }
+    counts.created++;
+  });
+
+  return counts;
+}
+
+function _writeReport(agent, result, dataDir) {
+  const reportsDir = path.join(dataDir, 'reports');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reportPath = path.join(reportsDir, `${agent.name}-${timestamp}.json`);
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({ subagent: agent.name, createdAt: new Date().toISOString(), ...result }, null, 2));
+  return path.relative(dataDir, reportPath);
+}
+
+async function runCustomSubagent(agent, options = {}) {
+  const { context, budget, memory, apiKey, identityDir, templatesDir, dryRun, dataDir } = options;
+
+  const task = _gatherInput(agent, options);
+
+  let result;
+  try {
+    result = await delegateToSubagent(agent.name, task, {
+      context, budget, memory, apiKey, identityDir, templatesDir, dryRun, dataDir,
+      projectRoot: options.projectRoot,
+    });
+  } catch (err) {
+    if (err.code === 'CASSETTE_MISS') throw err;
+    return { action: 'skip', reason: `dispatcher-error: ${err.message}` };
+  }
+
+  if (!result) return { action: 'skip', reason: 'no-response' };
+  if (result.action === 'skip' || result.action === 'dry-run' || result.action === 'invalid-response') return result;
+  if (result.reason && result.reason.startsWith('validation-failed')) return result;
+  if (!dataDir) return { action: 'skip', reason: 'no-data-dir' };
+
+  let outcome;
+  if (agent.output === 'specs') {
+    const findings = Array.isArray(result.findings) ? result.findings : (Array.isArray(result.specs) ? result.specs : []);
+    outcome = { action: 'completed', output: 'specs', ..._writeSpecs(agent, findings, options) };
+  } else if (agent.output === 'pending-queue') {
+    const items = (Array.isArray(result.items) ? result.items : [])
+      .filter(item => item && (!item.filePath || OutputValidator.validateAction({ type: 'file_edit', filePath: item.filePath }).valid));
+    items.forEach((item, i) => _queueItem(dataDir, agent, item, i));
+    outcome = { action: 'completed', output: 'pending-queue', queued: items.length };
+  } else {
+    outcome = { action: 'completed', output: 'report', report: _writeReport(agent, result, dataDir) };
+  }
+
+  if (memory) {
+    memory.logDecision({ action: 'custom_subagent_complete', subagent: agent.name, ...outcome, summary: result.summary || null });
+  }
+
+  return { ...outcome, summary: result.summary || null };
+}
+
+module.exports = {
+  discoverCustomSubagents,
+  getDueSubagents,
+  getEventSubagents,
+  recordHeartbeat,
+  runCustomSubagent,
+  _parseTrigger,
+  _parseInputs,
+  _gatherInput,
+  _isDue,
+  EVENTS,
+  INPUT_SOURCES,
+  OUTPUT_TYPES,
+};
@@ -3,14 +3,17 @@
 const fs = require('fs');
 const path = require('path');
 const matter = require('gray-matter');
-const { buildSystemPrompt } = require('../context-loader');
+const { buildSystemPromptBlocks, parseHeartbeatConfig, PROMPT_SEPARATOR } = require('../context-loader');
 const { InputSanitizer, OutputValidator } = require('../security');
+const { createProvider, getProvider } = require('../providers');
+const { createCassetteProvider, getCassetteConfig } = require('../providers/cassette');
+const { describeTools, executeTool, parseToolCall } = require('./agent-tools');
+const { validateSchema } = require('./schema-validator');
+const { DEFAULT_MODEL_MAP } = require('../providers/anthropic');
+const { SpendLedger } = require('../spend-ledger');
+const { getScheduler, priorityForSource } = require('../scheduler');
 
-const MODEL_MAP = {
-  haiku: 'claude-haiku-4-5-20251001',
-  sonnet: 'claude-sonnet-4-5-20250929',
-  opus: 'claude-opus-4-6',
-};
+const MODEL_MAP = DEFAULT_MODEL_MAP;
 
 const COST_ESTIMATES = {
   haiku: 0.005,
@@ -18,9 +21,14 @@ const COST_ESTIMATES = {
   opus: 0.10,
 };
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const MODEL_PRICING = {
+  haiku: { input: 1.00, output: 5.00, cacheRead: 0.10, cacheWrite: 1.25 },
+  sonnet: { input: 3.00, output: 15.00, cacheRead: 0.30, cacheWrite: 3.75 },
+  opus: { input: 5.00, output: 25.00, cacheRead: 0.50, cacheWrite: 6.25 },
+};
+
+const MAX_AGENT_TURNS = 8;
+const MAX_AGENT_TOKENS = 150000;
 
 function loadSubagentDefinition(agentName, identityDir, templatesDir) {
   const projectPath = path.join(identityDir, 'subagents', `${agentName}.md`);
@@ -45,6 +53,37 @@ function estimateCost(model) {
   return COST_ESTIMATES[model] || COST_ESTIMATES.sonnet;
 }
 
+function normalizeUsage(usage) {
+  const u = usage || {};
+  return {
+    inputTokens: u.input_tokens || u.inputTokens || 0,
+    outputTokens: u.output_tokens || u.outputTokens || 0,
+    cacheReadTokens: u.cache_read_input_tokens || u.cacheReadTokens || 0,
+    cacheWriteTokens: u.cache_creation_input_tokens || u.cacheWriteTokens || 0,
+  };
+}
+
+function calculateCost(model, usage) {
+  const pricing = MODEL_PRICING[model] || MODEL_PRICING.sonnet;
+  const u = normalizeUsage(usage);
+  return (
+    u.inputTokens * pricing.input +
+    u.outputTokens * pricing.output +
+    u.cacheReadTokens * pricing.cacheRead +
+    u.cacheWriteTokens * pricing.cacheWrite
+  ) / 1000000;
+}
+
+function _addUsage(total, usage) {
+  const t = total || { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+  const u = normalizeUsage(usage);
+  t.inputTokens += u.inputTokens;
+  t.outputTokens += u.outputTokens;
+  t.cacheReadTokens += u.cacheReadTokens;
+  t.cacheWriteTokens += u.cacheWriteTokens;
+  return t;
+}
+
 function _extractBalancedJson(text, startIdx) {
   let depth = 0;
   let inString = false;
@@ -106,6 +145,16 @@ function parseSubagentResponse(response) {
     return { status: 'SPEC_COMPLETE', action: 'queue' };
   }
 
+  if (trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        if (!parsed.action) parsed.action = 'queue';
+        return parsed;
+      }
+    } catch {}
+  }
+
   const allCodeBlocks = [];
   const codeBlockRegex = /```(?:json)?\s*\n?([\s\S]*?)```/g;
   let cbMatch;
@@ -204,77 +253,139 @@ function parseSubagentResponse(response) {
   return { action: 'queue', reason: 'parse-failed', raw: response.substring(0, 2000) };
 }
 
-function isRateLimitError(err) {
-  if (err && err.status === 429) return true;
-  if (err && err.error && err.error.type === 'rate_limit_error') return true;
-  const msg = (err && err.message) || '';
-  return msg.includes('429') || msg.toLowerCase().includes('rate limit') || msg.toLowerCase().includes('too many requests');
-}
-
-function isOverloadedError(err) {
-  if (err && err.status === 529) return true;
-  const msg = (err && err.message) || '';
-  return msg.includes('529') || msg.toLowerCase().includes('overloaded');
-}
-
-function isAuthError(err) {
-  if (err && (err.status === 401 || err.status === 403)) return true;
-  const msg = (err && err.message) || '';
-  return msg.includes('invalid x-api-key') || msg.includes('invalid api key');
+function _estimateRequestTokens(request) {
+  const promptChars = request.messages
+    ? request.messages.reduce((n, m) => n + String(m.content).length, 0)
+    : String(request.userPrompt || '').length;
+  return Math.ceil((String(request.systemPrompt || '').length + promptChars) / 4);
 }
 
-function isBillingError(err) {
-  if (err && err.status === 400) {
-    const msg = (err && err.message) || '';
-    return msg.toLowerCase().includes('credit balance') || msg.toLowerCase().includes('billing');
-  }
-  return false;
+function _totalTokens(usage) {
+  return usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheWriteTokens;
 }
 
-async function callClaudeAPI(apiKey, systemPrompt, userPrompt, model) {
-  const Anthropic = require('@anthropic-ai/sdk');
-  const client = new Anthropic({ apiKey, baseURL: process.env.ANTHROPIC_BASE_URL || undefined });
-
+async function callProvider(provider, request) {
   const maxRetries = 2;
   const baseDelay = 2000;
+  const scheduler = getScheduler();
+  const estimatedTokens = _estimateRequestTokens(request);
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const response = await client.messages.create({
-        model: MODEL_MAP[model] || MODEL_MAP.sonnet,
-        max_tokens: 8192,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }],
-      });
-      return response.content[0].text;
+      return await scheduler.run(async () => {
+        const response = await provider.complete(request);
+        return { text: response.text, usage: normalizeUsage(response.usage) };
+      }, { priority: request.priority, estimatedTokens, tokensOf: r => _totalTokens(r.usage) });
     } catch (err) {
-      if (isAuthError(err) || isBillingError(err)) {
-        throw err;
-      }
-
-      const retryable = isRateLimitError(err) || isOverloadedError(err);
+      const errorType = provider.classifyError(err);
+      const retryable = errorType === 'rate-limited' || errorType === 'overloaded';
 
       if (!retryable || attempt === maxRetries) {
         throw err;
       }
 
-      let retryAfter = null;
-      if (err.headers && typeof err.headers.get === 'function') {
-        retryAfter = err.headers.get('retry-after');
-      } else if (err.headers && err.headers['retry-after']) {
-        retryAfter = err.headers['retry-after'];
-      }
-
+      const retryAfter = provider.getRetryAfter(err);
       const waitMs = retryAfter
         ? Math.min(parseInt(retryAfter, 10) * 1000, 120000)
         : Math.min(baseDelay * Math.pow(2, attempt), 120000);
 
       const jitter = Math.random() * 2000;
-      await sleep(waitMs + jitter);
+      scheduler.backoff(waitMs + jitter);
     }
   }
 }
 
+async function callClaudeAPI(apiKey, systemPrompt, userPrompt, model) {
+  return callProvider(createProvider('anthropic'), { apiKey, systemPrompt, userPrompt, model });
+}
+
+function _chargeUsage(budget, provider, model, usage, spend) {
+  const cost = provider.priced ? calculateCost(model, usage) : 0;
+  budget.spent += cost;
+  budget.tokens = _addUsage(budget.tokens, usage);
+  // Replayed responses were paid for when they were recorded
+  if (spend && spend.ledger && provider.cassetteMode !== 'replay') {
+    spend.ledger.record({
+      source: spend.source,
+      subagent: spend.subagent,
+      specId: spend.specId,
+      provider: provider.name,
+      model,
+      cost,
+      usage: normalizeUsage(usage),
+    });
+  }
+  return cost;
+}
+
+async function _runAgenticLoop(provider, request, { budget, spend, memory, maxTurns, maxTokens, toolContext }) {
+  const { agentName, model } = request;
+  const messages = [{ role: 'user', content: request.userPrompt }];
+  const usage = _addUsage(null, null);
+  let cost = 0;
+
+  for (let turn = 1; turn <= maxTurns; turn++) {
+    if (turn > 1 && budget.spent + estimateCost(model) > budget.max) {
+      return { text: null, usage, cost, turns: turn - 1, stopReason: 'budget-exceeded' };
+    }
+
+    const reply = await callProvider(provider, { ...request, userPrompt: messages[messages.length - 1].content, messages: messages.slice() });
+    cost += _chargeUsage(budget, provider, model, reply.usage, spend);
+    _addUsage(usage, reply.usage);
+
+    const call = parseToolCall(reply.text);
+    if (!call) return { text: reply.text, usage, cost, turns: turn };
+
+    const toolsExhausted = turn >= maxTurns - 1 || usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheWriteTokens >= maxTokens;
+    if (turn === maxTurns) break;
+
+    const outcome = executeTool(call, toolContext);
+    if (memory) {
+      const argSummary = JSON.stringify(call.args || {}).substring(0, 200);
+      memory.logDaily(`${agentName} tool ${call.name}(${argSummary}): ${outcome.ok ? 'ok' : outcome.error}`);
+    }
+
+    let resultText = outcome.ok ? outcome.output : `ERROR: ${outcome.error}`;
+    if (toolsExhausted) {
+      resultText += '\n\nTool budget exhausted. Reply with your final answer now — no more tool calls.';
+      maxTurns = turn + 1;
+    }
+
+    messages.push({ role: 'assistant', content: reply.text });
+    messages.push({ role: 'user', content: InputSanitizer.wrapAsData(`tool-result:${call.name}`, resultText, { trusted: true }) });
+  }
+
+  return { text: null, usage, cost, turns: maxTurns, stopReason: 'tool-budget-exhausted' };
+}
+
+async function _repairResponse(provider, request, previousText, errors, budget, spend) {
+  if (budget.spent + estimateCost(request.model) > budget.max) return null;
+
+  const instructions = [
+    'Your previous response did not match the required output schema:',
+    ...errors.map(e => `- ${e}`),
+    '',
+    'Reply again with ONLY a corrected JSON object that satisfies the schema. No prose, no markdown.',
+  ].join('\n');
+
+  const messages = [
+    { role: 'user', content: request.userPrompt },
+    { role: 'assistant', content: previousText || '(empty response)' },
+    { role: 'user', content: instructions },
+  ];
+
+  let reply;
+  try {
+    reply = await callProvider(provider, { ...request, userPrompt: instructions, messages });
+  } catch (err) {
+    if (err.code === 'CASSETTE_MISS') throw err;
+    return null;
+  }
+
+  const cost = _chargeUsage(budget, provider, request.model, reply.usage, spend);
+  return { text: reply.text, usage: reply.usage, cost, result: parseSubagentResponse(reply.text) };
+}
+
 const ACTIONABLE_TYPES = new Set(['file_edit', 'run_command', 'fix']);
 
 function _collectValidationTargets(result) {
@@ -310,14 +421,49 @@ async function delegateToSubagent(agentName, task, options = {}) {
 
   const definition = loadSubagentDefinition(agentName, identityDir, templatesDir);
   const parsed = matter(definition);
-  const model = parsed.data.model || 'sonnet';
+  const model = options.model || parsed.data.model || 'sonnet';
+
+  const heartbeatConfig = parseHeartbeatConfig(context || {});
+  getScheduler().configure({
+    maxConcurrent: heartbeatConfig.maxConcurrentRequests,
+    tokensPerMinute: heartbeatConfig.tokensPerMinute,
+  });
 
-  const cost = estimateCost(model);
-  if (budget.spent + cost > budget.max) {
+  let provider;
+  try {
+    provider = options.provider || getProvider(agentName, parsed.data, heartbeatConfig, identityDir);
+    const cassette = getCassetteConfig({ ...(options.cassette || {}), dataDir: memory ? memory.dataDir : undefined });
+    if (cassette) provider = createCassetteProvider({ inner: provider, ...cassette });
+  } catch (err) {
+    if (memory) memory.logDaily(`LLM provider error for ${agentName}: ${err.message}`);
+    return { action: 'skip', reason: 'provider-error' };
+  }
+
+  const estimatedCost = estimateCost(model);
+  if (budget.spent + estimatedCost > budget.max) {
     return { action: 'skip', reason: 'budget-exceeded' };
   }
 
-  const systemPrompt = buildSystemPrompt(context) + '\n\n---\n\n' + parsed.content.trim();
+  const ledgerDir = options.dataDir || (memory ? memory.dataDir : null);
+  const spend = ledgerDir ? {
+    ledger: new SpendLedger(ledgerDir),
+    source: options.source || budget.source || 'unknown',
+    subagent: agentName,
+    specId: options.specId || null,
+  } : null;
+
+  if (spend && heartbeatConfig.spendCaps && !dryRun) {
+    const capCheck = spend.ledger.checkCaps(heartbeatConfig.spendCaps, provider.priced ? estimatedCost : 0);
+    if (!capCheck.allowed) {
+      if (memory) memory.logDaily(`Spend cap reached (${capCheck.period} $${capCheck.spent.toFixed(2)} of $${capCheck.cap.toFixed(2)}) — skipping ${agentName}`);
+      return { action: 'skip', reason: 'spend-cap-reached', period: capCheck.period };
+    }
+  }
+
+  const agentic = options.agentic !== undefined ? options.agentic : parsed.data.agentic === true;
+  const instructions = parsed.content.trim() + (agentic ? PROMPT_SEPARATOR + describeTools() : '');
+  const systemBlocks = buildSystemPromptBlocks(context, instructions);
+  const systemPrompt = systemBlocks.map(b => b.text).join(PROMPT_SEPARATOR);
 
   const taskStr = typeof task === 'string' ? task : JSON.stringify(task, null, 2);
   const sanitizedTask = InputSanitizer.wrapAsData('task-data', taskStr, { trusted: true });
@@ -326,33 +472,85 @@ async function delegateToSubagent(agentName, task, options = {}) {
     return {
       action: 'dry-run',
       subagent: agentName,
+      provider: provider.name,
       model,
-      estimatedCost: cost,
+      estimatedCost,
     };
   }
 
-  if (!apiKey) {
+  if (!apiKey && provider.requiresApiKey) {
     return { action: 'skip', reason: 'no-api-key' };
   }
 
+  const priority = options.priority || priorityForSource(options.source || budget.source);
+  const callRequest = { agentName, apiKey, systemPrompt, systemBlocks, userPrompt: sanitizedTask, model, priority };
+
   let response;
   try {
-    response = await callClaudeAPI(apiKey, systemPrompt, sanitizedTask, model);
+    if (agentic) {
+      response = await _runAgenticLoop(provider, callRequest, {
+        budget,
+        spend,
+        memory,
+        maxTurns: parseInt(parsed.data.maxTurns, 10) || MAX_AGENT_TURNS,
+        maxTokens: parseInt(parsed.data.maxAgentTokens, 10) || MAX_AGENT_TOKENS,
+        toolContext: {
+          projectRoot: options.projectRoot || identityDir || process.cwd(),
+          dataDir: memory ? memory.dataDir : path.join(options.projectRoot || identityDir || process.cwd(), '.sneebly'),
+          agentsContext: context && context.agents ? context.agents : null,
+        },
+      });
+    } else {
+      const reply = await callProvider(provider, callRequest);
+      response = { text: reply.text, usage: reply.usage, cost: _chargeUsage(budget, provider, model, reply.usage, spend) };
+    }
   } catch (apiError) {
-    const isAuth = isAuthError(apiError);
-    const isBilling = isBillingError(apiError);
-    const isRateLimit = isRateLimitError(apiError);
-    const isOverload = isOverloadedError(apiError);
-    const errorType = isAuth ? 'invalid-api-key' : isBilling ? 'no-credits' : isRateLimit ? 'rate-limited' : isOverload ? 'overloaded' : 'api-unreachable';
+    const errorType = provider.classifyError(apiError);
     if (memory) {
-      memory.logDaily(`Claude API ${errorType} for ${agentName}: ${apiError.message || apiError.status}`);
+      memory.logDaily(`LLM API (${provider.name}) ${errorType} for ${agentName}: ${apiError.message || apiError.status}`);
     }
+    if (errorType === 'cassette-miss') throw apiError;
     return { action: 'skip', reason: errorType };
   }
 
-  budget.spent += cost;
+  const { usage } = response;
+  let { cost } = response;
 
-  const result = parseSubagentResponse(response);
+  if (response.stopReason) {
+    if (memory) memory.logDaily(`${agentName} (${model}): agentic run stopped (${response.stopReason}) after ${response.turns} turn(s) — $${cost.toFixed(4)}`);
+    return response.stopReason === 'budget-exceeded'
+      ? { action: 'skip', reason: 'budget-exceeded' }
+      : { action: 'queue', reason: response.stopReason };
+  }
+
+  let result = parseSubagentResponse(response.text);
+
+  const outputSchema = parsed.data.outputSchema;
+  if (outputSchema && typeof outputSchema === 'object') {
+    const check = validateSchema(result, outputSchema);
+    if (!check.valid) {
+      if (memory) memory.logDaily(`${agentName}: response failed schema validation (${check.errors.slice(0, 3).join('; ')}) — attempting one repair`);
+
+      const repair = await _repairResponse(provider, callRequest, response.text, check.errors, budget, spend);
+      if (repair) {
+        cost += repair.cost;
+        _addUsage(usage, repair.usage);
+      }
+
+      const recheck = repair ? validateSchema(repair.result, outputSchema) : check;
+      if (!repair || !recheck.valid) {
+        if (memory) memory.logDaily(`${agentName}: invalid response after repair — ${recheck.errors.slice(0, 3).join('; ')} — $${cost.toFixed(4)}`);
+        return {
+          action: 'invalid-response',
+          reason: repair ? 'schema-validation-failed' : 'schema-validation-failed-no-repair',
+          errors: recheck.errors,
+          raw: String(repair ? repair.text : response.text).substring(0, 2000),
+        };
+      }
+
+      result = repair.result;
+    }
+  }
 
   const validationTargets = _collectValidationTargets(result);
   for (const target of validationTargets) {
@@ -364,7 +562,9 @@ async function delegateToSubagent(agentName, task, options = {}) {
   }
 
   if (memory) {
-    memory.logDaily(`${agentName} (${model}): ${result.action} — $${cost.toFixed(3)}`);
+    const via = provider.name === 'anthropic' ? '' : ` via ${provider.name}`;
+    const turns = response.turns ? `, ${response.turns} turns` : '';
+    memory.logDaily(`${agentName} (${model}${via}${turns}): ${result.action} — $${cost.toFixed(4)} (${usage.inputTokens} in/${usage.outputTokens} out, cache ${usage.cacheReadTokens} read/${usage.cacheWriteTokens} write)`);
   }
 
   return result;
@@ -374,8 +574,12 @@ module.exports = {
   delegateToSubagent,
   loadSubagentDefinition,
   estimateCost,
+  calculateCost,
+  normalizeUsage,
   parseSubagentResponse,
   callClaudeAPI,
+  callProvider,
   MODEL_MAP,
   COST_ESTIMATES,
+  MODEL_PRICING,
 };
@@ -4,6 +4,9 @@ const fs = require('fs');
 const path = require('path');
 const { delegateToSubagent } = require('./dispatcher');
 const { InputSanitizer } = require('../security');
+const { normalizeProbes } = require('../probes');
+const { pathSections } = require('../safety');
+const { matchGlobList } = require('../glob');
 
 async function resolveError(error, options = {}) {
   const { context, budget, memory, apiKey, identityDir, templatesDir, dryRun, dataDir } = options;
@@ -21,6 +24,7 @@ async function resolveError(error, options = {}) {
       context, budget, memory, apiKey, identityDir, templatesDir, dryRun,
     });
   } catch (err) {
+    if (err.code === 'CASSETTE_MISS') throw err;
     return { action: 'skip', reason: `dispatcher-error: ${err.message}` };
   }
 
@@ -33,6 +37,11 @@ async function resolveError(error, options = {}) {
     const filePath = result.spec.filePath || '';
 
     if (_isPathSafe(filePath, safePaths)) {
+      if (result.spec.probes !== undefined) {
+        const probes = normalizeProbes(result.spec.probes, { source: 'error-resolver' });
+        if (probes.length > 0) result.spec.probes = probes;
+        else delete result.spec.probes;
+      }
       if (dataDir) {
         _writeSpecFile(dataDir, result.spec);
       }
@@ -57,36 +66,13 @@ async function resolveError(error, options = {}) {
 }
 
 function _getSafePaths(context) {
-  if (!context || !context.agents || !context.agents.content) return [];
-
-  const content = context.agents.content;
-  const safeSection = content.match(/##\s*Safe to Auto-Modify\s*\n([\s\S]*?)(?=\n##|$)/i);
-  if (!safeSection) return [];
-
-  return safeSection[1]
-    .split('\n')
-    .map(line => {
-      let cleaned = line.replace(/^[-*]\s*/, '').trim();
-      cleaned = cleaned.replace(/\s*\(.*\)\s*$/, '').trim();
-      return cleaned;
-    })
-    .filter(l => l && (l.includes('/') || l.includes('*') || l.includes('.')));
+  return pathSections(context && context.agents).safePaths;
 }
 
 function _isPathSafe(filePath, safePaths) {
   if (!filePath || safePaths.length === 0) return false;
-
-  return safePaths.some(pattern => {
-    if (pattern.endsWith('/**')) {
-      const prefix = pattern.slice(0, -3);
-      return filePath.startsWith(prefix);
-    }
-    if (pattern.endsWith('/*')) {
-      const prefix = pattern.slice(0, -2);
-      return filePath.startsWith(prefix) && !filePath.slice(prefix.length + 1).includes('/');
-    }
-    return filePath === pattern;
-  });
+  if (path.normalize(filePath).includes('..') || path.isAbsolute(filePath) || path.win32.isAbsolute(filePath)) return false;
+  return matchGlobList(filePath, safePaths).matched;
 }
 
 function _writeSpecFile(dataDir, spec) {
@@ -0,0 +1,104 @@
+'use strict';
+
+const MAX_ERRORS = 10;
+
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function _matchesType(value, type) {
+  const actual = _typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function _validate(value, schema, at, errors) {
+  if (!schema || typeof schema !== 'object' || errors.length >= MAX_ERRORS) return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => _matchesType(value, t))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${_typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} character(s)`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, i) => _validate(item, schema.items, `${at}[${i}]`, errors));
+    }
+  }
+
+  if (_typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, propSchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) _validate(value[key], propSchema, `${at}.${key}`, errors);
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!properties[key]) errors.push(`${at}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf) _validate(value, sub, at, errors);
+  }
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alternatives)) {
+    const results = alternatives.map(sub => {
+      const subErrors = [];
+      _validate(value, sub, at, subErrors);
+      return subErrors;
+    });
+    const matching = results.filter(r => r.length === 0).length;
+
+    if (matching === 0) {
+      const discriminated = results.filter(r => !r.some(e => e.includes(': must be "')));
+      const candidates = discriminated.length > 0 ? discriminated : results;
+      const closest = candidates.reduce((best, r) => (r.length < best.length ? r : best), candidates[0] || []);
+      errors.push(`${at}: does not match any allowed shape`);
+      errors.push(...closest);
+    } else if (schema.oneOf && matching > 1) {
+      errors.push(`${at}: matches ${matching} shapes, expected exactly one`);
+    }
+  }
+}
+
+function validateSchema(value, schema) {
+  const errors = [];
+  _validate(value, schema, '$', errors);
+  return { valid: errors.length === 0, errors: errors.slice(0, MAX_ERRORS) };
+}
+
+module.exports = { validateSchema };
@@ -19,6 +19,7 @@ async function selfImprove(options = {}) {
       context, budget, memory, apiKey, identityDir, templatesDir, dryRun,
     });
   } catch (err) {
+    if (err.code === 'CASSETTE_MISS') throw err;
     return { action: 'skip', reason: `dispatcher-error: ${err.message}` };
   }
 
@@ -14,9 +14,8 @@ const SPEC_COMPLETE_SIGNALS = [
   /SPEC_COMPLETE/,
 ];
 
-function _findRelevantSection(full, spec, windowBefore = 60, windowAfter = 80) {
+function _findRelevantSection(full, spec, windowBefore = 60, windowAfter = 80, maxChars = 20000) {
   const lines = full.split('\n');
-  const maxChars = 20000;
 
   if (spec.relevantCode) {
     const idx = full.indexOf(spec.relevantCode.trim().split('\n')[0]);
@@ -160,6 +159,10 @@ function _normalizeResponse(result) {
     return { status: 'change', filePath: result.filePath, oldCode: result.oldCode, newCode: result.newCode, description: result.description || '' };
   }
 
+  if (status === 'patch' && typeof result.patch === 'string' && result.patch.trim()) {
+    return { status: 'patch', patch: result.patch, description: result.description || '' };
+  }
+
   if (status === 'create' && result.filePath && typeof result.content === 'string') {
     return { status: 'create', filePath: result.filePath, content: result.content, description: result.description || '' };
   }
@@ -182,27 +185,28 @@ function _normalizeResponse(result) {
 }
 
 async function executeSpec(spec, options = {}) {
-  const { context, budget, memory, apiKey, identityDir, templatesDir, dryRun, projectRoot } = options;
+  const { context, budget, memory, apiKey, identityDir, templatesDir, dryRun, projectRoot, model, dataDir } = options;
   const iterationHistory = options.iterationHistory || [];
+  const contextScale = options.contextScale || 1;
 
   let currentCode = '';
   let relatedContext = '';
   if (spec.filePath && projectRoot) {
     if (spec.action === 'create') {
       currentCode = 'NEW FILE — does not exist yet. Create from scratch.';
-      relatedContext = _gatherRelatedContext('', spec.filePath, projectRoot, spec, 8000);
+      relatedContext = _gatherRelatedContext('', spec.filePath, projectRoot, spec, 8000 * contextScale);
     } else {
       const fullPath = path.join(projectRoot, spec.filePath);
       try {
         const full = fs.readFileSync(fullPath, 'utf-8');
-        if (full.length > 20000) {
-          const section = _findRelevantSection(full, spec);
+        if (full.length > 20000 * contextScale) {
+          const section = _findRelevantSection(full, spec, 60 * contextScale, 80 * contextScale, 20000 * contextScale);
           const totalLines = full.split('\n').length;
           currentCode = `// FILE: ${spec.filePath} (${totalLines} lines total, showing relevant section)\n${section}`;
         } else {
           currentCode = full;
         }
-        relatedContext = _gatherRelatedContext(full, spec.filePath, projectRoot, spec, 6000);
+        relatedContext = _gatherRelatedContext(full, spec.filePath, projectRoot, spec, 6000 * contextScale);
       } catch {}
     }
   }
@@ -210,27 +214,37 @@ async function executeSpec(spec, options = {}) {
   const taskPayload = { spec, currentCode, relatedContext: relatedContext || undefined };
 
   if (iterationHistory.length > 0) {
-    taskPayload.previousAttempts = iterationHistory.slice(-3).map(h => ({
+    taskPayload.previousAttempts = (options.fullHistory ? iterationHistory : iterationHistory.slice(-3)).map(h => ({
       iteration: h.iteration,
+      model: h.model || undefined,
       status: h.status,
       reason: h.reason || undefined,
       changeAttempted: h.changeDescription || undefined,
+      diagnostics: h.diagnostics || undefined,
+      guidance: h.guidance || undefined,
     }));
     taskPayload.retryGuidance = 'Previous attempts failed. Review what went wrong and try a DIFFERENT approach. Do NOT repeat the same change.';
+    const lastGuidance = iterationHistory[iterationHistory.length - 1].guidance;
+    if (lastGuidance && lastGuidance.length > 0) taskPayload.retryGuidance += ` The last attempt crashed the app — ${lastGuidance.join(' ')}`;
   }
 
   let result;
   try {
     result = await delegateToSubagent('spec-executor', taskPayload, {
-      context, budget, memory, apiKey, identityDir, templatesDir, dryRun,
+      context, budget, memory, apiKey, identityDir, templatesDir, dryRun, projectRoot, model, dataDir,
+      specId: options.specId || spec.id || null,
     });
   } catch (err) {
+    if (err.code === 'CASSETTE_MISS') throw err;
     return { status: 'stuck', reason: `dispatcher-error: ${err.message}` };
   }
 
   if (!result) return { status: 'stuck', reason: 'no-response' };
   if (result.action === 'skip') return { status: 'stuck', reason: result.reason || 'skipped' };
   if (result.action === 'dry-run') return { status: 'dry-run', spec };
+  if (result.action === 'invalid-response') {
+    return { status: 'stuck', reason: `invalid-response: ${(result.errors || []).slice(0, 3).join('; ') || result.reason}` };
+  }
 
   if (_isSpecComplete(result)) return { status: 'SPEC_COMPLETE' };
 
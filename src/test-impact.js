@@ -0,0 +1,282 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const RESOLVE_EXTENSIONS = [...SOURCE_EXTENSIONS, '.json'];
+const SKIPPED_DIRS = new Set(['node_modules', '.git', '.sneebly', 'dist', 'build', 'coverage', '.next', 'out']);
+const MAX_GRAPH_FILES = 5000;
+const STATE_FILE = 'test-impact.json';
+const DEFAULT_FULL_SUITE_EVERY = 5;
+
+const TEST_FILE_PATTERN = /(^|\/)(__tests__|tests?)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+const SAFE_PATH = /^(?!-)[\w@%+=:,./-]+$/;
+const VALUE_FLAGS = new Set(['--config', '-c', '--require', '-r', '--import', '--project', '--root', '--dir', '--reporter', '-R', '--setupFiles']);
+
+function _walk(projectRoot, dir, files, limit) {
+  let entries = [];
+  try { entries = fs.readdirSync(path.join(projectRoot, dir), { withFileTypes: true }); } catch { return true; }
+
+  for (const entry of entries) {
+    const rel = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (SKIPPED_DIRS.has(entry.name)) continue;
+      if (!_walk(projectRoot, rel, files, limit)) return false;
+    } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+      if (files.length >= limit) return false;
+      files.push(rel);
+    }
+  }
+  return true;
+}
+
+function _stripComments(content) {
+  return content
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:\\'"`])\/\/.*$/gm, '$1');
+}
+
+function _extractSpecifiers(content) {
+  const source = _stripComments(content);
+  const specifiers = [];
+  let dynamic = false;
+
+  const staticRegex = /(?:\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?|\bexport\s+(?:\*(?:\s+as\s+\w+)?|\{[^}]*\})\s+from\s+)['"]([^'"]+)['"]/g;
+  const callRegex = /\b(?:require|import)\s*\(\s*([^)]*?)\s*\)/g;
+  let match;
+
+  while ((match = staticRegex.exec(source)) !== null) specifiers.push(match[1]);
+  while ((match = callRegex.exec(source)) !== null) {
+    const arg = match[1];
+    const literal = arg.match(/^(['"])([^'"]+)\1$/) || arg.match(/^`([^`$]+)`$/);
+    if (literal) specifiers.push(literal[2] || literal[1]);
+    else dynamic = true;
+  }
+  return { specifiers: [...new Set(specifiers)], dynamic };
+}
+
+function _isLocal(specifier) {
+  return specifier.startsWith('.') || specifier.startsWith('@/') || specifier.startsWith('@shared/');
+}
+
+function _resolveSpecifier(projectRoot, fromFile, specifier) {
+  let base;
+  if (specifier.startsWith('@shared/')) base = 'shared/' + specifier.slice('@shared/'.length);
+  else if (specifier.startsWith('@/')) base = 'client/src/' + specifier.slice(2);
+  else base = path.posix.join(path.posix.dirname(fromFile), specifier);
+
+  const candidates = [base];
+  const ext = path.extname(base);
+  if (['.js', '.jsx', '.mjs', '.cjs'].includes(ext)) {
+    const stem = base.slice(0, -ext.length);
+    candidates.push(...['.ts', '.tsx', '.mts', '.cts'].map(e => stem + e));
+  }
+  candidates.push(...RESOLVE_EXTENSIONS.map(e => base + e));
+  candidates.push(...RESOLVE_EXTENSIONS.map(e => `${base}/index${e}`));
+
+  for (const candidate of candidates) {
+    try {
+      if (fs.statSync(path.join(projectRoot, candidate)).isFile()) return candidate;
+    } catch {}
+  }
+  return null;
+}
+
+function buildImportGraph(projectRoot, options = {}) {
+  const files = [];
+  const complete = _walk(projectRoot, '', files, options.maxFiles || MAX_GRAPH_FILES);
+  const graph = { files: {}, dependents: {}, incomplete: {}, truncated: !complete };
+
+  for (const file of files) {
+    let content;
+    try { content = fs.readFileSync(path.join(projectRoot, file), 'utf-8'); } catch { continue; }
+
+    const { specifiers, dynamic } = _extractSpecifiers(content);
+    const deps = [];
+    const unresolved = [];
+    for (const specifier of specifiers) {
+      if (!_isLocal(specifier)) continue;
+      const resolved = _resolveSpecifier(projectRoot, file, specifier);
+      if (resolved) deps.push(resolved);
+      else unresolved.push(specifier);
+    }
+
+    graph.files[file] = deps;
+    for (const dep of deps) (graph.dependents[dep] = graph.dependents[dep] || []).push(file);
+    if (dynamic || unresolved.length > 0) {
+      graph.incomplete[file] = dynamic
+        ? ['dynamic import', ...unresolved.map(s => `unresolved ${s}`)]
+        : unresolved.map(s => `unresolved ${s}`);
+    }
+  }
+  return graph;
+}
+
+function isTestFile(filePath) {
+  return TEST_FILE_PATTERN.test(filePath.replace(/\\/g, '/'));
+}
+
+function _reverseClosure(graph, starts) {
+  const seen = new Set(starts);
+  const queue = [...starts];
+  while (queue.length > 0) {
+    const file = queue.shift();
+    for (const dependent of graph.dependents[file] || []) {
+      if (seen.has(dependent)) continue;
+      seen.add(dependent);
+      queue.push(dependent);
+    }
+  }
+  return seen;
+}
+
+function findAffectedTests(graph, changedFiles) {
+  if (graph.truncated) return { complete: false, reason: `project has more than ${MAX_GRAPH_FILES} source files` };
+
+  const changed = changedFiles.map(f => path.posix.normalize(f.replace(/\\/g, '/')).replace(/^\.\//, ''));
+  for (const file of changed) {
+    if (!graph.files[file] && !graph.dependents[file]) {
+      return { complete: false, reason: `${file} is not in the import graph` };
+    }
+  }
+
+  const affected = _reverseClosure(graph, changed);
+  const tests = [...affected].filter(f => graph.files[f] && isTestFile(f)).sort();
+
+  const uncertain = _reverseClosure(graph, Object.keys(graph.incomplete));
+  const blind = Object.keys(graph.files).find(f => isTestFile(f) && uncertain.has(f) && !affected.has(f));
+  if (blind) {
+    const culprit = Object.keys(graph.incomplete).find(f => _reverseClosure(graph, [f]).has(blind));
+    return {
+      complete: false,
+      reason: `import graph incomplete — ${blind} reaches ${culprit} (${graph.incomplete[culprit].join(', ')})`,
+    };
+  }
+
+  return { complete: true, tests, affected: affected.size };
+}
+
+function _splitArgs(args) {
+  return args.trim() === '' ? [] : args.trim().split(/\s+/);
+}
+
+function _keepFlags(tokens) {
+  const kept = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!token.startsWith('-')) continue;
+    kept.push(token);
+    if (VALUE_FLAGS.has(token) && tokens[i + 1] !== undefined) kept.push(tokens[++i]);
+  }
+  return kept;
+}
+
+function detectTestRunner(projectRoot, testCommand) {
+  let script = String(testCommand || '').trim();
+  if (/^npm\s+(?:run\s+)?test$/.test(script)) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf-8'));
+      script = String((pkg.scripts && pkg.scripts.test) || '').trim();
+    } catch {
+      return null;
+    }
+  }
+  if (/[;&|<>`$]|\b\w+=\S/.test(script)) return null;
+
+  let match = script.match(/^(?:npx\s+)?(jest|vitest|mocha)\b(.*)$/);
+  if (match) {
+    const tokens = _splitArgs(match[2]).filter(t => !(match[1] === 'vitest' && (t === 'run' || t === 'watch')));
+    return { runner: match[1], flags: _keepFlags(tokens) };
+  }
+  match = script.match(/^node\s+(.*)$/);
+  if (match && _splitArgs(match[1]).includes('--test')) {
+    return { runner: 'node:test', flags: _keepFlags(_splitArgs(match[1])).filter(t => t !== '--test') };
+  }
+  return null;
+}
+
+function buildTestArgv(runner, files) {
+  switch (runner.runner) {
+    case 'jest': return ['npx', 'jest', '--ci', ...runner.flags, '--runTestsByPath', ...files];
+    case 'vitest': return ['npx', 'vitest', 'run', ...runner.flags, ...files];
+    case 'mocha': return ['npx', 'mocha', ...runner.flags, ...files];
+    case 'node:test': return ['node', '--test', ...runner.flags, ...files];
+    default: return null;
+  }
+}
+
+function buildTestCommand(runner, files) {
+  const argv = buildTestArgv(runner, files);
+  return argv ? argv.join(' ') : null;
+}
+
+function _loadState(dataDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, STATE_FILE), 'utf-8'));
+  } catch {
+    return { runsSinceFull: 0 };
+  }
+}
+
+function recordTestRun(dataDir, mode) {
+  if (!dataDir) return;
+  const state = _loadState(dataDir);
+  if (mode === 'full') {
+    state.runsSinceFull = 0;
+    state.lastFullAt = new Date().toISOString();
+  } else {
+    state.runsSinceFull = (state.runsSinceFull || 0) + 1;
+  }
+  try {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(path.join(dataDir, STATE_FILE), JSON.stringify(state, null, 2));
+  } catch {}
+}
+
+function selectTests(projectRoot, testCommand, options = {}) {
+  const full = reason => ({ mode: 'full', command: testCommand, reason });
+  const changedFiles = options.changedFiles || [];
+
+  if (options.mode === 'full') return full('test selection disabled');
+  if (changedFiles.length === 0) return full('no changed files');
+
+  const fullSuiteEvery = options.fullSuiteEvery !== undefined ? options.fullSuiteEvery : DEFAULT_FULL_SUITE_EVERY;
+  if (options.dataDir && fullSuiteEvery > 0 && _loadState(options.dataDir).runsSinceFull + 1 >= fullSuiteEvery) {
+    return full(`scheduled full run (every ${fullSuiteEvery})`);
+  }
+
+  const runner = detectTestRunner(projectRoot, testCommand);
+  if (!runner) return full('test runner not detected');
+
+  const impact = findAffectedTests(buildImportGraph(projectRoot), changedFiles);
+  if (!impact.complete) return full(impact.reason);
+
+  if (impact.tests.length === 0) {
+    return { mode: 'impact', command: null, runner: runner.runner, tests: [], reason: 'no tests import the changed files' };
+  }
+  if (!impact.tests.every(f => SAFE_PATH.test(f))) return full('test path needs quoting');
+
+  return {
+    mode: 'impact',
+    command: buildTestCommand(runner, impact.tests),
+    argv: buildTestArgv(runner, impact.tests),
+    runner: runner.runner,
+    tests: impact.tests,
+    reason: `${impact.tests.length} test file(s) import the changed files`,
+  };
+}
+
+module.exports = {
+  buildImportGraph,
+  findAffectedTests,
+  detectTestRunner,
+  buildTestCommand,
+  buildTestArgv,
+  selectTests,
+  recordTestRun,
+  isTestFile,
+  _extractSpecifiers,
+  _resolveSpecifier,
+  DEFAULT_FULL_SUITE_EVERY,
+};
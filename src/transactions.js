@@ -0,0 +1,133 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TRANSACTIONS_DIR = 'transactions';
+const PROCESS_STARTED_AT = Math.round(Date.now() - process.uptime() * 1000);
+
+function _writeDurable(filePath, data) {
+  const tmp = `${filePath}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, filePath);
+}
+
+function _isAlive(tx) {
+  const pid = tx.pid;
+  if (!pid) return false;
+  if (pid === process.pid) return Math.abs((tx.processStartedAt || 0) - PROCESS_STARTED_AT) < 1000;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function _undo(entries) {
+  const errors = [];
+  for (const entry of [...entries].reverse()) {
+    try {
+      if (entry.op === 'create') {
+        if (fs.existsSync(entry.fullPath)) fs.unlinkSync(entry.fullPath);
+      } else if (entry.backupPath && fs.existsSync(entry.backupPath)) {
+        fs.mkdirSync(path.dirname(entry.fullPath), { recursive: true });
+        fs.copyFileSync(entry.backupPath, entry.fullPath);
+      } else {
+        errors.push(`${entry.filePath}: backup missing (${entry.backupPath || 'none recorded'})`);
+      }
+    } catch (err) {
+      errors.push(`${entry.filePath}: ${err.message}`);
+    }
+  }
+  return errors;
+}
+
+class Transaction {
+  constructor(dataDir, meta = {}) {
+    this.dir = path.join(dataDir, TRANSACTIONS_DIR);
+    this.id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+    this.file = path.join(this.dir, `${this.id}.json`);
+    this.journal = {
+      id: this.id,
+      pid: process.pid,
+      processStartedAt: PROCESS_STARTED_AT,
+      status: 'pending',
+      startedAt: new Date().toISOString(),
+      meta,
+      entries: [],
+    };
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._flush();
+  }
+
+  _flush() {
+    _writeDurable(this.file, JSON.stringify(this.journal, null, 2));
+  }
+
+  intend(op, filePath, fullPath, backupPath) {
+    this.journal.entries.push({ op, filePath, fullPath, backupPath: backupPath || null });
+    this._flush();
+  }
+
+  commit() {
+    try { fs.unlinkSync(this.file); } catch {}
+  }
+
+  rollback() {
+    const errors = _undo(this.journal.entries);
+    if (errors.length > 0) {
+      this.journal.rollbackErrors = errors;
+      this._flush();
+    } else {
+      try { fs.unlinkSync(this.file); } catch {}
+    }
+    return { rolledBack: this.journal.entries.length, errors };
+  }
+}
+
+function listTransactions(dataDir) {
+  const dir = path.join(dataDir, TRANSACTIONS_DIR);
+  const found = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+  } catch {
+    return found;
+  }
+  for (const file of files) {
+    try {
+      found.push({ file: path.join(dir, file), ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')) });
+    } catch {}
+  }
+  return found;
+}
+
+function recoverTransactions(dataDir, log) {
+  const recovered = [];
+  for (const tx of listTransactions(dataDir)) {
+    if (tx.status !== 'pending' || _isAlive(tx)) continue;
+
+    const errors = _undo(tx.entries || []);
+    if (errors.length === 0) {
+      try { fs.unlinkSync(tx.file); } catch {}
+    }
+    recovered.push({ id: tx.id, meta: tx.meta, files: (tx.entries || []).map(e => e.filePath), errors });
+    if (log) {
+      const files = (tx.entries || []).map(e => e.filePath).join(', ') || 'no files';
+      log(errors.length === 0
+        ? `Recovered interrupted transaction ${tx.id}: rolled back ${files}`
+        : `Interrupted transaction ${tx.id} could not be fully rolled back: ${errors.join('; ')}`);
+    }
+  }
+  return recovered;
+}
+
+module.exports = { Transaction, listTransactions, recoverTransactions, TRANSACTIONS_DIR };
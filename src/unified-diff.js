@@ -0,0 +1,202 @@
+'use strict';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+function _cleanPath(raw) {
+  const p = raw.split('\t')[0].trim();
+  if (p === '/dev/null') return null;
+  return p.replace(/^[ab]\//, '');
+}
+
+function _isFileHeader(lines, i) {
+  return lines[i].startsWith('--- ') && lines[i + 1] !== undefined && lines[i + 1].startsWith('+++ ');
+}
+
+function _isBodyLine(line) {
+  return line !== undefined && (line[0] === ' ' || line[0] === '-' || line[0] === '+');
+}
+
+function _markNoNewline(hunk) {
+  const prev = hunk.lines[hunk.lines.length - 1];
+  if (prev && prev[0] !== '-') hunk.noNewlineAtEnd = true;
+}
+
+function _readHunkBody(lines, start, hunk) {
+  let oldLeft = hunk.oldLines;
+  let newLeft = hunk.newLines;
+  let i = start;
+
+  while (i < lines.length && (oldLeft > 0 || newLeft > 0)) {
+    const line = lines[i];
+    if (line === NO_NEWLINE_MARKER) {
+      _markNoNewline(hunk);
+      i++;
+      continue;
+    }
+    // A short hunk followed by the next file's headers, not "-- x" / "++ y" body lines
+    if (_isFileHeader(lines, i) && HUNK_HEADER.test(lines[i + 2] || '')) break;
+    // Blank lines are context lines whose leading space was stripped
+    const kind = line === '' && i < lines.length - 1 ? ' ' : line[0];
+    if (kind === ' ' && oldLeft > 0 && newLeft > 0) { oldLeft--; newLeft--; }
+    else if (kind === '-' && oldLeft > 0) oldLeft--;
+    else if (kind === '+' && newLeft > 0) newLeft--;
+    else break;
+    hunk.lines.push(line === '' ? ' ' : line);
+    i++;
+  }
+
+  if (lines[i] === NO_NEWLINE_MARKER) {
+    _markNoNewline(hunk);
+    i++;
+  }
+
+  let extra = 0;
+  while (i < lines.length && _isBodyLine(lines[i]) && !_isFileHeader(lines, i)) {
+    extra++;
+    i++;
+  }
+
+  if (oldLeft > 0 || newLeft > 0) {
+    hunk.error = `hunk body has ${hunk.oldLines - oldLeft} old / ${hunk.newLines - newLeft} new lines but the header says ${hunk.oldLines} / ${hunk.newLines}`;
+  } else if (extra > 0) {
+    hunk.error = `hunk body has ${extra} more line(s) than the header's ${hunk.oldLines} old / ${hunk.newLines} new`;
+  }
+  return i;
+}
+
+function parsePatch(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let file = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (_isFileHeader(lines, i)) {
+      file = { oldPath: _cleanPath(line.slice(4)), newPath: _cleanPath(lines[i + 1].slice(4)), hunks: [] };
+      files.push(file);
+      i++;
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      if (!file) throw new Error(`hunk header before any ---/+++ file header: ${line}`);
+      const hunk = {
+        header: header[0],
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] !== undefined ? parseInt(header[2], 10) : 1,
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] !== undefined ? parseInt(header[4], 10) : 1,
+        lines: [],
+        noNewlineAtEnd: false,
+      };
+      file.hunks.push(hunk);
+      i = _readHunkBody(lines, i + 1, hunk) - 1;
+    }
+  }
+
+  for (const f of files) {
+    if (f.hunks.length === 0) throw new Error(`no hunks for ${f.newPath || f.oldPath}`);
+  }
+  return files;
+}
+
+function _normalize(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+function _matchesAt(lines, block, index, loose) {
+  for (let k = 0; k < block.length; k++) {
+    const actual = lines[index + k];
+    if (actual === undefined) return false;
+    if (loose ? _normalize(actual) !== _normalize(block[k]) : actual !== block[k]) return false;
+  }
+  return true;
+}
+
+function _locate(lines, block, expected, minIndex) {
+  const maxIndex = lines.length - block.length;
+  if (maxIndex < minIndex) return null;
+  const start = Math.min(Math.max(expected, minIndex), maxIndex);
+  const reach = Math.max(start - minIndex, maxIndex - start);
+
+  for (const loose of [false, true]) {
+    for (let d = 0; d <= reach; d++) {
+      for (const index of d === 0 ? [start] : [start - d, start + d]) {
+        if (index < minIndex || index > maxIndex) continue;
+        if (_matchesAt(lines, block, index, loose)) return { index, fuzzy: loose };
+      }
+    }
+  }
+  return null;
+}
+
+function _describeMismatch(lines, block, expected) {
+  for (let k = 0; k < block.length; k++) {
+    const actual = lines[expected + k];
+    if (actual === undefined) return `expected "${block[k].trim()}" at line ${expected + k + 1} but the file ends at line ${lines.length}`;
+    if (_normalize(actual) !== _normalize(block[k])) {
+      return `expected "${block[k].trim()}" at line ${expected + k + 1} but found "${actual.trim()}"`;
+    }
+  }
+  return 'context overlaps an earlier hunk';
+}
+
+function applyHunks(content, hunks, options = {}) {
+  const endsWithNewline = options.newFile ? true : content.endsWith('\n');
+  const body = content.endsWith('\n') ? content.slice(0, -1) : content;
+  const lines = body === '' ? [] : body.split('\n');
+  const out = [];
+  const results = [];
+  let cursor = 0;
+  let drift = 0;
+  let trailingNewline = endsWithNewline;
+
+  hunks.forEach((hunk, i) => {
+    if (hunk.error) {
+      results.push({ hunk: i + 1, header: hunk.header, applied: false, reason: hunk.error });
+      return;
+    }
+
+    const before = hunk.lines.filter(l => l[0] !== '+').map(l => l.slice(1));
+    const after = hunk.lines.filter(l => l[0] !== '-').map(l => l.slice(1));
+    const expected = Math.max(0, (before.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + drift);
+
+    const match = _locate(lines, before, expected, cursor);
+    if (!match) {
+      results.push({
+        hunk: i + 1,
+        header: hunk.header,
+        applied: false,
+        reason: `context not found — ${_describeMismatch(lines, before, Math.max(expected, cursor))}`,
+      });
+      return;
+    }
+
+    out.push(...lines.slice(cursor, match.index), ...after);
+    cursor = match.index + before.length;
+    drift = match.index - (expected - drift);
+    if (cursor >= lines.length && hunk.noNewlineAtEnd) trailingNewline = false;
+
+    results.push({
+      hunk: i + 1,
+      header: hunk.header,
+      applied: true,
+      line: match.index + 1,
+      offset: match.index - expected,
+      fuzzy: match.fuzzy,
+    });
+  });
+
+  out.push(...lines.slice(cursor));
+  const ok = results.every(r => r.applied);
+  return {
+    ok,
+    content: out.length > 0 ? out.join('\n') + (trailingNewline ? '\n' : '') : '',
+    hunks: results,
+  };
+}
+
+module.exports = { parsePatch, applyHunks, _locate, _cleanPath };